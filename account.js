@@ -8,6 +8,8 @@
 'use strict';
 'use esversion 6';
 const logger = require('./accountLogger');
+const errors = require('./errors');
+const SNAPSHOT_VERSION = 1;  //increment whenever the shape of the aggregate state changes.  invalidates older snapshots
 
 /** @desc Account aggregate */
 module.exports = class Account {
@@ -22,15 +24,13 @@ module.exports = class Account {
 	
 	/**
 	 * Performs a funds deposit to a player
-	 *  Will generate an exception for a non-positive deposit amount.
+	 *  Will generate an exception for a deposit amount that isn't a positive number.
 	 * @param {int} amount - amount to be deposited
 	 * @return void
 	 */
 	deposit(amount) {
 		logger.debug(`Account.deposit - amount:${amount}`);
-		if (amount <= 0) {
-			throw new Error('Attempting a transaction with a 0 or negative value');
-		}
+		Account.validateAmount(amount);
 		
 		this.funds += amount;
 		return;
@@ -55,7 +55,8 @@ module.exports = class Account {
 						case 'withdraw':
 							this.funds -= event.amount;
 							break;
-						default:
+						default:  //an upcaster is missing for an older/renamed event type
+							logger.warn(`Account.rehydrate - id:${this.id} - unknown event type:${event.type}, schemaVersion:${event.schemaVersion}`);
 							break;
 					}
 				}
@@ -63,6 +64,15 @@ module.exports = class Account {
 		}
 	}
 	
+	/**
+	 * Generates a snapshot of the aggregate that can be persisted in the event store
+	 * @return {Object} object containing the schema version, version, timestamp of the last applied event and state.
+	 */
+	toSnapshot() {
+		return {'id':this.id, 'schemaVersion':SNAPSHOT_VERSION, 'version':this.version, 'timestamp':this.timestamp, 
+			'state':{'funds':this.funds}};
+	}
+	
 	/**
 	 * Helper function to generate an object from the account class
 	 * @return {Object} object representing the current state of aggregate.
@@ -73,21 +83,48 @@ module.exports = class Account {
 	
 	/**
 	 * Performs a funds withdrawal from an account
-	 *  Will generate an exception for a non-positive withdrawal amount or an attempt to overdraft
+	 *  Will generate an exception for a withdrawal amount that isn't a positive number or an attempt to overdraft
 	 * @param {int} amount - amount to be withdrawn
 	 * @return void
 	 */
 	withdraw(amount) {
 		logger.debug(`Account.withdraw - amount:${amount}`);
-		if (amount <= 0) {
-			throw new Error('Attempting a transaction with a 0 or negative value');
-		}
+		Account.validateAmount(amount);
 		
 		if (this.funds - amount < 0) {
-			throw new Error('Attempting to deduct more funds than available');
+			throw new errors.BusinessRuleError('Attempting to deduct more funds than available', 'INSUFFICIENT_FUNDS');
 		}		
 		
 		this.funds -= amount;
 		return;
 	}
-};
+	
+	/**
+	 * Creates an account aggregate from a snapshot.  Snapshots with a different schema version are rejected.
+	 * @param {Object} snapshot - snapshot object as generated by toSnapshot
+	 * @return {Account} account aggregate, or null if the snapshot is missing or has an outdated schema
+	 */
+	static fromSnapshot(snapshot) {
+		if (!snapshot || snapshot.schemaVersion !== SNAPSHOT_VERSION) {
+			return null;
+		}
+		logger.debug(`Account.fromSnapshot - id:${snapshot.id}, version:${snapshot.version}`);
+		const account = new Account(snapshot.id, snapshot.version, snapshot.timestamp);
+		account.funds = snapshot.state.funds;
+		return account;
+	}
+	
+	/**
+	 * Validates the amount of a transaction.  Will generate an exception unless it's a finite, positive number.
+	 * @param {int} amount - amount of the transaction, as received
+	 * @return void
+	 */
+	static validateAmount(amount) {
+		if (typeof amount !== 'number' || !isFinite(amount)) {
+			throw new errors.ValidationError(`Attempting a transaction with an invalid amount: ${amount}`, 'INVALID_AMOUNT');
+		}
+		if (amount <= 0) {
+			throw new errors.ValidationError('Attempting a transaction with a 0 or negative value', 'INVALID_AMOUNT');
+		}
+	}
+};
\ No newline at end of file
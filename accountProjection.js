@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Projection of the account events into the funds of each account, see EventStoreProjector
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+
+module.exports = {
+	'name' : 'accounts',
+	'stream' : 'accountStream',
+	'init' : (id) => ({'funds' : 0}),
+	'handlers' : {
+		'create' : (state, event) => ({'funds' : 0}),
+		'deposit' : (state, event) => ({'funds' : state.funds + event.amount}),
+		'withdraw' : (state, event) => ({'funds' : state.funds - event.amount})
+	}
+};
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Converts the documents of the account read model from the timestamps array of applied events to the
+ * version of the last applied event.  Each applied event added one timestamp, and event versions start at 1 with no
+ * gaps, so the version is the length of the array.  Stop the projectors before running it.  Settings are loaded like
+ * the projector's, see accountProjectorConfig.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const logger = require('./accountProjectorLogger');
+const MongoClient = require('mongodb').MongoClient;
+const projectorConfig = require('./accountProjectorConfig');
+const BATCH_SIZE = 1000;  //number of documents converted per bulk write
+
+/**
+ * Converts the documents read from a cursor, one bulk write per batch
+ * @param {object} collection - MongoDB collection
+ * @param {object} cursor - cursor over the documents still holding a timestamps array
+ * @param {int} migrated - number of documents converted so far
+ * @return {int} total number of documents converted
+ */
+function migrate(collection, cursor, migrated) {
+	let operations = [];
+	const next = () => {
+		return cursor.next()
+		.then(doc => {
+			if (doc) {
+				operations.push({'updateOne' : {'filter' : {'_id' : doc._id, 'timestamps' : {$exists : true}},
+					'update' : {$set : {'version' : doc.timestamps.length}, $unset : {'timestamps' : ''}}}});
+				if (operations.length < BATCH_SIZE) {
+					return next();
+				}
+			}
+		});
+	};
+
+	return next()
+	.then(_ => {
+		if (operations.length === 0) {
+			return migrated;
+		}
+		return collection.bulkWrite(operations, {'ordered' : false})
+		.then(result => {
+			migrated += result.modifiedCount;
+			logger.info(`Account projection migration - documents converted:${migrated}`);
+			return migrate(collection, cursor, migrated);
+		});
+	});
+}
+
+const config = projectorConfig.load(process.env);
+let connection;
+MongoClient.connect(config.mongoUrl, {'useNewUrlParser' : true})
+.then(result => {
+	connection = result;
+	const collection = connection.db(config.dbName).collection(config.collection);
+	const cursor = collection.find({'timestamps' : {$exists : true}}, {'projection' : {'timestamps' : 1}});
+	return migrate(collection, cursor, 0);
+})
+.then(migrated => {
+	logger.info(`Account projection migration - completed, documents converted:${migrated}`);
+})
+.catch(err => {
+	logger.error(`Account projection migration - ${err}`);
+	process.exitCode = 1;
+})
+.finally(_ => {
+	if (connection) {
+		connection.close();
+	}
+});
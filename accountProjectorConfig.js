@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Configuration of the account projector and its tools
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const fs = require('fs');
+
+/** Default settings, for a Redis and MongoDB running locally */
+const DEFAULTS = {
+	'redisPort' : 6379,
+	'redisHost' : 'localhost',
+	'mongoUrl' : 'mongodb://localhost:27017',
+	'dbName' : 'accountDB',
+	'collection' : 'accountCollection',  //collection of the read model
+	'streamName' : 'accountStream',
+	'groupName' : 'accountStreamGroup',  //consumer group of the MongoDB read model
+	'consumerName' : null,  //null: derived from the host name and process id
+	'startId' : '0',  //where a new consumer group starts reading: '0' all events, '$' only new events, or a stream id
+	'batchSize' : 100,  //maximum number of events handled per subscription read
+	'pendingInterval' : 30000,  //30 seconds, interval on checking the pending queue of events
+	'poolSize' : 10  //maximum number of MongoDB connections
+};
+
+/** Environment variables overriding the settings */
+const ENV_VARS = {
+	'REDIS_PORT' : 'redisPort',
+	'REDIS_HOST' : 'redisHost',
+	'MONGO_URL' : 'mongoUrl',
+	'MONGO_DB' : 'dbName',
+	'MONGO_COLLECTION' : 'collection',
+	'PROJECTOR_STREAM' : 'streamName',
+	'PROJECTOR_GROUP' : 'groupName',
+	'PROJECTOR_CONSUMER' : 'consumerName',
+	'PROJECTOR_START_ID' : 'startId',
+	'PROJECTOR_BATCH_SIZE' : 'batchSize',
+	'PROJECTOR_PENDING_INTERVAL' : 'pendingInterval',
+	'PROJECTOR_POOL_SIZE' : 'poolSize'
+};
+
+/**
+ * Loads the projector settings.  Defaults are overridden by a JSON config file, which is overridden by environment
+ * variables.  Credentials belong in the MongoDB URL of the config file or of MONGO_URL, not in the code.
+ * @param {Object} env - environment variables, e.g. process.env.  PROJECTOR_CONFIG holds the path of the config file.
+ * @return {Object} config object
+ */
+function load(env = {}) {
+	let config = Object.assign({}, DEFAULTS);
+	if (env.PROJECTOR_CONFIG) {
+		Object.assign(config, JSON.parse(fs.readFileSync(env.PROJECTOR_CONFIG, 'utf8')));
+	}
+	for (let name of Object.keys(ENV_VARS)) {
+		if (env[name] !== undefined && env[name] !== '') {
+			const key = ENV_VARS[name];
+			config[key] = typeof DEFAULTS[key] === 'number' ? parseInt(env[name]) : env[name];
+		}
+	}
+	return config;
+}
+
+module.exports = {
+	'DEFAULTS' : DEFAULTS,
+	'load' : load
+};
@@ -9,8 +9,10 @@
 
 const winston = require('winston');
 
+const TEST = process.env.NODE_ENV === 'test';  //test runs neither print logs nor create log files
+
 const logger = winston.createLogger({
-	  transports: [
+	  transports: TEST ? [new winston.transports.Console({silent: true})] : [
 		  new winston.transports.Console(),
 		  new winston.transports.File({filename: './accountProjector.log'})
 	  ],
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Runs an account projector.  Settings are loaded from the environment and the config file named by
+ * PROJECTOR_CONFIG, see accountProjectorConfig.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const AccountProjector = require('./accountProjector');
+const projectorConfig = require('./accountProjectorConfig');
+const logger = require('./accountProjectorLogger');
+
+const projector = new AccountProjector(projectorConfig.load(process.env));
+projector.connect()
+.catch((err) => {
+	logger.error(`AccountProjector - ${err}`);
+	projector.close();
+	process.exitCode = 1;
+});
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+	process.on(signal, () => {
+		logger.info(`AccountProjector - ${signal} received, closing`);
+		projector.close();
+	});
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Rebuilds the MongoDB account read model from the account stream.
+ * The stream is replayed from the beginning into a shadow collection through the account projection, which is then
+ * swapped in for the live collection.  Progress is checkpointed after each page of events, so an interrupted rebuild
+ * resumes where it stopped when run again.  Run with --restart to discard an interrupted rebuild and start over.
+ * Settings are loaded like the projector's, see accountProjectorConfig.
+ * The projector keeps updating the live collection during a rebuild; events it applied while the swap took place are
+ * replayed again onto the swapped-in collection, which the projection skips if they were already applied.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const EventStoreClient = require('./eventStoreClient');
+const EventStoreProjector = require('./eventStoreProjector');
+const ProjectionMongoAdapter = require('./projectionMongoAdapter');
+const logger = require('./accountProjectorLogger');
+const MongoClient = require('mongodb').MongoClient;
+const accountProjection = require('./accountProjection');
+const projectorConfig = require('./accountProjectorConfig');
+const PAGE_SIZE = 1000;  //number of events replayed between checkpoints
+
+const config = projectorConfig.load(process.env);
+const SHADOW_COLLECTION = config.collection + 'Rebuild';
+const CHECKPOINT_COLLECTION = ProjectionMongoAdapter.CHECKPOINT_COLLECTION;
+const projection = Object.assign({}, accountProjection, {'stream' : config.streamName});
+const restart = process.argv.indexOf('--restart') !== -1;
+const esClient = new EventStoreClient(config.redisPort, config.redisHost);
+
+/**
+ * Replays the stream onto a collection, from the checkpoint position up to the end of the stream
+ * @param {object} db - MongoDB database connection
+ * @param {string} collectionName - name of the collection the events are applied to
+ * @param {object} checkpoint - checkpoint object: phase ('replay' or 'swapped'), position (stream id to resume from),
+ * 								processed (event count)
+ * @param {int} total - number of events in the stream when the rebuild was started, for progress reporting
+ * @return {promise}
+ */
+function replay(db, collectionName, checkpoint, total) {
+	return esClient.range(config.streamName, null, {'start' : checkpoint.position, 'count' : PAGE_SIZE})
+	.then(page => {
+		const projector = new EventStoreProjector(esClient, projection, new ProjectionMongoAdapter(db, collectionName));
+		return projector.apply(page.events)
+		.then(applied => {
+			if (applied.length < page.events.length) {
+				logger.warn(`Account projection rebuild - events not applied:${page.events.length - applied.length}`);
+			}
+		})
+		.then(_ => {
+			checkpoint.processed += page.events.length;
+			if (page.next) {
+				checkpoint.position = page.next;
+			}
+			else if (page.events.length > 0) {  //end of stream, resume from the last event (applying it again is a no-op)
+				checkpoint.position = page.events[page.events.length - 1].timestamp;
+			}
+			checkpoint.updatedAt = new Date();
+			return db.collection(CHECKPOINT_COLLECTION).replaceOne({'_id' : SHADOW_COLLECTION}, checkpoint);
+		})
+		.then(_ => {
+			const percent = total > 0 ? Math.min(100, Math.floor(checkpoint.processed * 100 / total)) : 100;
+			logger.info(`Account projection rebuild - ${collectionName}, events replayed:${checkpoint.processed}/${total} (${percent}%), position:${checkpoint.position}`);
+			if (page.next) {
+				return replay(db, collectionName, checkpoint, total);
+			}
+		});
+	});
+}
+
+/**
+ * Fetches the checkpoint of an interrupted rebuild, or starts a new rebuild with an empty shadow collection
+ * @param {object} db - MongoDB database connection
+ * @return {object} checkpoint object
+ */
+function start(db) {
+	const checkpoints = db.collection(CHECKPOINT_COLLECTION);
+	return checkpoints.findOne({'_id' : SHADOW_COLLECTION})
+	.then(checkpoint => {
+		if (checkpoint && !restart) {
+			logger.info(`Account projection rebuild - resuming, phase:${checkpoint.phase}, position:${checkpoint.position}`);
+			return checkpoint;
+		}
+		checkpoint = {'_id' : SHADOW_COLLECTION, 'phase' : 'replay', 'position' : '-', 'processed' : 0,
+			'startedAt' : new Date(), 'updatedAt' : new Date()};
+		return db.collection(SHADOW_COLLECTION).drop()
+		.catch(err => {
+			if (err.code !== 26) {  //namespace not found, no shadow collection to drop
+				throw err;
+			}
+		})
+		.then(_ => db.createCollection(SHADOW_COLLECTION))
+		.then(_ => checkpoints.replaceOne({'_id' : SHADOW_COLLECTION}, checkpoint, {'upsert' : true}))
+		.then(_ => checkpoint);
+	});
+}
+
+let connection;
+let db;
+let checkpoint;
+let total;
+Promise.all([esClient.connect(), MongoClient.connect(config.mongoUrl, {'useNewUrlParser' : true})])
+.then(results => {
+	connection = results[1];
+	db = connection.db(config.dbName);
+	return Promise.all([start(db), esClient.length(config.streamName)]);
+})
+.then(results => {
+	[checkpoint, total] = results;
+	if (checkpoint.phase === 'swapped') {  //interrupted after the swap, only the catch up is left
+		return;
+	}
+	return replay(db, SHADOW_COLLECTION, checkpoint, total)
+	.then(_ => {
+		logger.info(`Account projection rebuild - swapping ${SHADOW_COLLECTION} in for ${config.collection}`);
+		return db.collection(SHADOW_COLLECTION).rename(config.collection, {'dropTarget' : true});
+	})
+	.then(_ => {
+		checkpoint.phase = 'swapped';
+		return db.collection(CHECKPOINT_COLLECTION).replaceOne({'_id' : SHADOW_COLLECTION}, checkpoint);
+	});
+})
+.then(_ => {  //catch up with the events the projector applied to the replaced collection during the swap
+	return replay(db, config.collection, checkpoint, total);
+})
+.then(_ => {
+	return db.collection(CHECKPOINT_COLLECTION).deleteOne({'_id' : SHADOW_COLLECTION});
+})
+.then(_ => {
+	logger.info(`Account projection rebuild - completed, events replayed:${checkpoint.processed}`);
+})
+.catch(err => {
+	logger.error(`Account projection rebuild - ${err}`);
+	process.exitCode = 1;
+})
+.finally(_ => {
+	esClient.close();
+	if (connection) {
+		connection.close();
+	}
+});
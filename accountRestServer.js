@@ -8,99 +8,308 @@
 
 
 const express = require('express');
+const http = require('http');
 const jsonParser = express.json();
-const app = express();
 const AccountService = require('./accountService');
+const TransferProcessManager = require('./transferProcessManager');
 const logger = require('./accountLogger');
+const errors = require('./errors');
 const REDIS_PORT = 6379;
 const REDIS_HOST = 'localhost';
 const LISTEN_PORT = 8444;
+const DEFAULT_PAGE_SIZE = 50;  //number of events per page of an account's event history
+const MAX_PAGE_SIZE = 1000;
+const IDEMPOTENCY_RETENTION = 86400000;  //24 hours, time window in which a retried command returns its original response
+const CONFLICT_RETRIES = 3;  //retries of a deposit/withdrawal on a concurrency conflict, before responding with 409
+const CONFLICT_BACKOFF = 50;  //base delay (in ms) between the retries
+const STREAM_LAYOUT = 'single';  //'aggregate' stores each account's events in its own stream.  run accountStreamMigration.js first
 
-const service = new AccountService(REDIS_PORT, REDIS_HOST);
+/**
+ * Builds the event envelope metadata from the incoming request headers
+ * @param {Object} request - express request
+ * @return {Object} metadata object: correlationId, causationId, actor
+ */
+function metadata(request) {
+	return {
+		'correlationId' : request.get('X-Correlation-Id'),
+		'causationId' : request.get('X-Causation-Id'),
+		'actor' : request.get('X-User-Id')
+	};
+}
 
 /**
- * Provides the 'retrieve' function for an account aggregate
- * @param {string} id - ID of account to be retrieved
- * @return {Object} if found - 200 status w/account JSON object.  otherwise, 404 with empty object
+ * Parses a point in time query parameter
+ * @param {string} value - Redis stream id, epoch time in ms or ISO 8601 date/time
+ * @param {string} name - name of the query parameter
+ * @return {Object} point in time: timestamp (Redis stream id) or time (epoch ms)
  */
-app.get('/accounts/:id', (request, response) => {
-	service.fetch(request.params.id)
-	.then(result => {
-		if (result) {
-			response.status(200).json(result);
-		}
-		else {
-			response.status(404).json({'errorMessage' : 'not found'});
-		}
-	})
-	.catch(err => {
-		response.status(400).json({'errorMessage' : err.message});
-	});
-});
+function parsePoint(value, name) {
+	if (/^\d+-\d+$/.test(value)) {
+		return {'timestamp' : value};
+	}
+	else if (/^\d+$/.test(value)) {
+		return {'time' : parseInt(value)};
+	}
+	
+	const time = Date.parse(value);
+	if (isNaN(time)) {
+		throw new errors.ValidationError(`Invalid ${name}: ${value}`, 'INVALID_PARAMETER');
+	}
+	return {'time' : time};
+}
 
 /**
- * Provides the 'create' function for an account aggregate
- * @param {string} id - ID of account to be created
- * @return {Object} - JSON object of the newly created account
+ * Parses the asOf/version query parameters of an account retrieval
+ * @param {Object} query - express request query object
+ * @return {Object} point in time: version, timestamp (Redis stream id) or time (epoch ms)
  */
-app.post('/accounts', jsonParser, (request, response) => {
-	service.create(request.body.id)
-	.then(result => {
-		if (result) {
-			response.status(201).json(result);
+function pointInTime(query) {
+	if (query.version !== undefined) {
+		if (!/^\d+$/.test(query.version)) {
+			throw new errors.ValidationError(`Invalid version: ${query.version}`, 'INVALID_PARAMETER');
 		}
-	})
-	.catch(err => {
-		response.status(400).json({'errorMessage' : err.message});
-	});
-});
+		return {'version' : parseInt(query.version)};
+	}
+	return parsePoint(query.asOf, 'asOf');
+}
 
 /**
- * Function for placing a deposit transaction against an account (ID)
- * @param {string} id - ID of account for the deposit.  Query parameter
- * @param {Object} amount - JSON object containing the deposit amount.  Body parameter
- * @return {Object} - successful - 200 status w/JSON object containing the ID and amount,
- * 					if there's a concurrency (version) conflict during the deposit attempt, 409 returned
- * 					erroneous deposit attempt - 400 returned
+ * Parses the pagination and filter query parameters of an account event history retrieval
+ * @param {Object} query - express request query object
+ * @return {Object} history options: from, to, cursor, limit, reverse
  */
-app.post('/accounts/:id/deposits', jsonParser, (request, response) => {
-	service.deposit(request.params.id, request.body.amount)
-	.then(result => {
-		if (result && result.hasOwnProperty('amount')) {
-			response.status(200).json(result);
-		}
-		else {
-			response.status(409).json({'errorMessage' : 'Conflict while attempting deposit'});
-		}
-	})
-	.catch(err => {
-		response.status(400).json({'errorMessage' : err.message});
-	});	
-});
+function historyOptions(query) {
+	const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_PAGE_SIZE;
+	if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+		throw new errors.ValidationError(`Invalid limit: ${query.limit}, must be between 1 and ${MAX_PAGE_SIZE}`, 'INVALID_PARAMETER');
+	}
+	if (query.order !== undefined && query.order !== 'asc' && query.order !== 'desc') {
+		throw new errors.ValidationError(`Invalid order: ${query.order}`, 'INVALID_PARAMETER');
+	}
+	if (query.cursor !== undefined && !/^\d+-\d+$/.test(query.cursor)) {
+		throw new errors.ValidationError(`Invalid cursor: ${query.cursor}`, 'INVALID_PARAMETER');
+	}
+	
+	return {
+		'from' : query.from !== undefined ? parsePoint(query.from, 'from') : undefined,
+		'to' : query.to !== undefined ? parsePoint(query.to, 'to') : undefined,
+		'cursor' : query.cursor,
+		'limit' : limit,
+		'reverse' : query.order === 'desc'
+	};
+}
 
 /**
- * Function for placing a withdrawal transaction against an account (ID)
- * @param {string} id - ID of account for the withdrawal.  Query parameter
- * @param {Object} amount - JSON object containing the withdrawal amount.  Body parameter
- * @return {Object} - successful - 200 status w/JSON object containing the ID and amount,
- * 					if there's a concurrency (version) conflict during the withdrawal attempt, 409 returned
- * 					erroneous withdrawal attempt - 400 returned
+ * Maps an error to the HTTP status of its response
+ * @param {Error} err - error raised while handling a request
+ * @return {int} HTTP status
  */
-app.post('/accounts/:id/withdrawals', jsonParser, (request, response) => {
-	service.withdraw(request.params.id, request.body.amount)
-	.then(result => {
-		if (result && result.hasOwnProperty('amount')) {
+function statusOf(err) {
+	if (err instanceof errors.ValidationError) {
+		return 400;
+	}
+	else if (err instanceof errors.NotFoundError) {
+		return 404;
+	}
+	else if (err instanceof errors.ConflictError) {
+		return 409;
+	}
+	else if (err instanceof errors.BusinessRuleError) {
+		return 422;
+	}
+	else if (err instanceof errors.UnavailableError) {
+		return 503;
+	}
+	return err.status >= 400 && err.status < 500 ? err.status : 500;  //express errors (e.g. malformed JSON body) carry a status
+}
+
+/**
+ * Express error middleware.  Responds with an RFC 7807 problem+json body: type, title, status, detail, plus the error
+ * code and the request path as instance.  The details of unexpected errors are logged, not returned.
+ * @param {Error} err - error raised while handling the request
+ * @param {Object} request - express request
+ * @param {Object} response - express response
+ * @param {function} next - next middleware
+ * @return void
+ */
+function problem(err, request, response, next) {
+	const status = statusOf(err);
+	const expected = err instanceof errors.ServiceError || status < 500;
+	if (status >= 500) {
+		logger.error(`accountRestServer - ${request.method} ${request.originalUrl} - ${err}`);
+	}
+	if (response.headersSent) {
+		return next(err);
+	}
+	response.status(status).type('application/problem+json').json({
+		'type' : 'about:blank',
+		'title' : http.STATUS_CODES[status],
+		'status' : status,
+		'detail' : expected ? err.message : 'Unexpected error',
+		'code' : err instanceof errors.ServiceError ? err.code : (status < 500 ? 'INVALID_REQUEST' : 'INTERNAL_ERROR'),
+		'instance' : request.originalUrl
+	});
+}
+
+/**
+ * Creates the express application serving the REST interface
+ * @param {AccountService} service - account service the requests are handed to
+ * @return {Object} express application
+ */
+function createApp(service) {
+	const app = express();
+
+	/**
+	 * Provides the 'retrieve' function for an account aggregate, optionally as of a point in the past
+	 * @param {string} id - ID of account to be retrieved
+	 * @param {string} asOf - optional query parameter.  Redis stream id, epoch time in ms or ISO 8601 date/time
+	 * @param {int} version - optional query parameter.  account version
+	 * @return {Object} if found - 200 status w/account JSON object.  otherwise, 404 problem
+	 */
+	app.get('/accounts/:id', (request, response, next) => {
+		Promise.resolve()
+		.then(_ => {
+			if (request.query.version !== undefined || request.query.asOf !== undefined) {
+				return service.fetchAsOf(request.params.id, pointInTime(request.query));
+			}
+			return service.fetch(request.params.id);
+		})
+		.then(result => {
+			if (!result) {  //the account didn't exist yet at that point in time
+				throw new errors.NotFoundError('Non-existent account id', 'ACCOUNT_NOT_FOUND');
+			}
 			response.status(200).json(result);
-		}
-		else {
-			response.status(409).json({'errorMessage' : 'Conflict while attempting withdrawal'});
-		}
-	})
-	.catch(err => {
-		response.status(400).json({'errorMessage' : err.message});
-	});	
-});
+		})
+		.catch(next);
+	});
+
+	/**
+	 * Provides the event (transaction) history of an account, one page at a time
+	 * @param {string} id - ID of account.  Query parameter
+	 * @param {string} from, to - optional query parameters.  Redis stream id, epoch time in ms or ISO 8601 date/time
+	 * @param {string} cursor - optional query parameter.  'next' value of the previous page
+	 * @param {int} limit - optional query parameter.  page size, default 50
+	 * @param {string} order - optional query parameter.  'asc' (default) or 'desc'
+	 * @return {Object} - 200 status w/JSON object containing the events and the cursor of the next page (null on last page)
+	 */
+	app.get('/accounts/:id/events', (request, response, next) => {
+		Promise.resolve()
+		.then(_ => {
+			return service.history(request.params.id, historyOptions(request.query));
+		})
+		.then(result => {
+			response.status(200).json(result);
+		})
+		.catch(next);
+	});
 
+	/**
+	 * Provides the 'create' function for an account aggregate
+	 * @param {string} id - ID of account to be created
+	 * @param {int} initialDeposit - optional amount deposited atomically with the account creation
+	 * @return {Object} - 201 status w/JSON object of the newly created account, 409 problem if the id already exists
+	 */
+	app.post('/accounts', jsonParser, (request, response, next) => {
+		service.create(request.body.id, request.body.initialDeposit, {'metadata' : metadata(request)})
+		.then(result => {
+			response.status(201).json(result);
+		})
+		.catch(next);
+	});
+
+	/**
+	 * Function for placing a deposit transaction against an account (ID)
+	 * @param {string} id - ID of account for the deposit.  Query parameter
+	 * @param {Object} amount - JSON object containing the deposit amount.  Body parameter
+	 * @param {string} Idempotency-Key - optional header.  A retry with the same key returns the original response
+	 * @return {Object} - successful - 200 status w/JSON object containing the ID and amount,
+	 * 					if a concurrency (version) conflict persists through the retries of the deposit, 409 returned
+	 * 					unknown account - 404 returned, invalid amount - 400 returned
+	 */
+	app.post('/accounts/:id/deposits', jsonParser, (request, response, next) => {
+		service.deposit(request.params.id, request.body.amount, {
+			'metadata' : metadata(request),
+			'idempotencyKey' : request.get('Idempotency-Key')
+		})
+		.then(result => {
+			if (!result || !result.hasOwnProperty('amount')) {
+				throw new errors.ConflictError('Conflict while attempting deposit', 'VERSION_CONFLICT');
+			}
+			response.status(200).json(result);
+		})
+		.catch(next);
+	});
+
+	/**
+	 * Function for placing a withdrawal transaction against an account (ID)
+	 * @param {string} id - ID of account for the withdrawal.  Query parameter
+	 * @param {Object} amount - JSON object containing the withdrawal amount.  Body parameter
+	 * @param {string} Idempotency-Key - optional header.  A retry with the same key returns the original response
+	 * @return {Object} - successful - 200 status w/JSON object containing the ID and amount,
+	 * 					if a concurrency (version) conflict persists through the retries of the withdrawal, 409 returned
+	 * 					unknown account - 404 returned, invalid amount - 400 returned, overdraft - 422 returned
+	 */
+	app.post('/accounts/:id/withdrawals', jsonParser, (request, response, next) => {
+		service.withdraw(request.params.id, request.body.amount, {
+			'metadata' : metadata(request),
+			'idempotencyKey' : request.get('Idempotency-Key')
+		})
+		.then(result => {
+			if (!result || !result.hasOwnProperty('amount')) {
+				throw new errors.ConflictError('Conflict while attempting withdrawal', 'VERSION_CONFLICT');
+			}
+			response.status(200).json(result);
+		})
+		.catch(next);
+	});
+
+	/**
+	 * Function for initiating a transfer of funds between two accounts.  The transfer is carried out asynchronously.
+	 * @param {Object} from, to, amount - JSON object containing the source and target account IDs and the amount.  Body parameter
+	 * @return {Object} - successful - 202 status w/JSON object containing the transfer ID and status,
+	 * 					unknown account - 404 returned, invalid amount or same account - 400 returned
+	 */
+	app.post('/transfers', jsonParser, (request, response, next) => {
+		service.transfer(request.body.from, request.body.to, request.body.amount, {'metadata' : metadata(request)})
+		.then(result => {
+			response.status(202).location(`/transfers/${result.id}`).json(result);
+		})
+		.catch(next);
+	});
+
+	/**
+	 * Provides the status of a transfer
+	 * @param {string} id - ID of the transfer.  Query parameter
+	 * @return {Object} if found - 200 status w/transfer JSON object.  otherwise, 404 problem
+	 */
+	app.get('/transfers/:id', (request, response, next) => {
+		service.fetchTransfer(request.params.id)
+		.then(result => {
+			if (!result) {
+				throw new errors.NotFoundError('Non-existent transfer id', 'TRANSFER_NOT_FOUND');
+			}
+			response.status(200).json(result);
+		})
+		.catch(next);
+	});
+
+	app.use(problem);
+	return app;
+}
+
+if (require.main === module) {  //run as a server, rather than loaded by the tests
+	const service = new AccountService(REDIS_PORT, REDIS_HOST, {
+		'layout' : STREAM_LAYOUT,
+		'idempotencyRetention' : IDEMPOTENCY_RETENTION,
+		'conflictRetries' : CONFLICT_RETRIES,
+		'conflictBackoff' : CONFLICT_BACKOFF
+	});
+	const transferManager = new TransferProcessManager(service, REDIS_PORT, REDIS_HOST, {'layout' : STREAM_LAYOUT});
+	Promise.all([service.ready(), transferManager.connect()])
+	.then(_ => {
+		createApp(service).listen(LISTEN_PORT);
+		logger.info(`Account microservice - started on port ${LISTEN_PORT}`);
+	});
+}
 
-app.listen(LISTEN_PORT);
-logger.info(`Account microservice - started on port ${LISTEN_PORT}`);
+module.exports = createApp;
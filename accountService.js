@@ -8,32 +8,72 @@
 'use strict';
 'use esversion 6';
 const EventStoreClient = require('./eventStoreClient');
+const EventStore = require('./eventStore');
 const Account = require('./account');
+const AggregateCache = require('./aggregateCache');
+const Transfer = require('./transfer');
+const uuidv4 = require('uuid/v4');
+const crypto = require('crypto');
 const logger = require('./accountLogger');
+const errors = require('./errors');
 
 
-/** @desc Account service */
+/** @desc Account service.  Accounts are cached in a bounded LRU cache.  Every load of a cached account also applies
+ * the events published after it, by any instance, so the instances don't need to invalidate each other's caches.
+ */
 module.exports = class AccountService {
 	
-	constructor(redisPort, redisHost) {
-		this._client = new EventStoreClient(redisPort, redisHost);
-		this._client.connect();
-		this._accounts = {}; //cache for account.  map object containing account objects
+	/**
+	 * @param {int} redisPort - redis port number
+	 * @param {string} redisHost - redis host name/address
+	 * @param {Object} options - layout: event store stream layout ('single' or 'aggregate'),
+	 * 							snapshotFrequency: number of events between account snapshots, 0 disables snapshots,
+	 * 							idempotencyRetention: time (in ms) the results of idempotent commands are kept,
+	 * 							eventStore: EventStore to use instead of a Redis EventStoreClient, e.g. a MemoryEventStore,
+	 * 							conflictRetries: number of times a deposit/withdrawal is retried on a concurrency
+	 * 							conflict, 0 (default) disables retries,
+	 * 							conflictBackoff: base delay (in ms) before a retry, doubled on each attempt and jittered,
+	 * 							cacheSize: maximum number of cached accounts, 0 disables the cache,
+	 * 							cacheTtl: time (in ms) an account stays cached once it's no longer used, 0 for no limit
+	 */
+	constructor(redisPort, redisHost, options = {}) {
+		this._client = options.eventStore || new EventStoreClient(redisPort, redisHost, {'layout' : options.layout});
+		this._connected = this._client.connect();
+		this._cache = new AggregateCache(Account.fromSnapshot, {'maxSize' : options.cacheSize, 'ttl' : options.cacheTtl});
+		this._snapshotFrequency = options.hasOwnProperty('snapshotFrequency') ? options.snapshotFrequency : 100;
+		this._idempotencyRetention = options.idempotencyRetention || 86400000;  //24 hours
+		this._conflictRetries = options.conflictRetries || 0;
+		this._conflictBackoff = options.hasOwnProperty('conflictBackoff') ? options.conflictBackoff : 50;
 	}
 	
 	/**
 	 * Provides the 'create' function for account aggregate.  Attempts to 'add' a new ID to the system.  If the ID is unique,
-	 * an event is published.  If it is not, an error is returned
+	 * an event is published.  If it is not, an error is returned.  An optional initial deposit is published together with
+	 * the create event as one atomic batch, so the account never exists without it.
 	 * @param {string} id - ID of account to be created
-	 * @return {Object} - object containing the newly created account id
+	 * @param {int} initialDeposit - optional amount deposited on account creation
+	 * @param {Object} options - metadata: {correlationId, causationId, actor} stored in the event envelope
+	 * @return {Object} - object containing the newly created account id and its funds
 	 */
-	create(id) {
-		return this._client.addId(id, 'accountId')
+	create(id, initialDeposit, options = {}) {
+		const account = new Account(id);
+		let newEvents = [{'type': 'create'}];
+		
+		return Promise.resolve()
+		.then(_ => {
+			if (typeof id !== 'string' || id.length === 0) {
+				throw new errors.ValidationError('Attempting to create an account without an id', 'INVALID_ID');
+			}
+			if (initialDeposit !== undefined) {
+				account.deposit(initialDeposit);  //validates the amount prior to reserving the id
+				newEvents.push({'type': 'deposit', 'amount': initialDeposit});
+			}
+			return this._client.addId(id, 'accountId');
+		})
 		.then(isUnique => {
 			logger.debug(`AccountService.create - id:${id} - isUnique:${isUnique}`);
 			if (isUnique) {
-				const newEvent = {'id' : id, 'version': 0, 'type': 'create'};
-				return this._client.publish('accountStream', newEvent);
+				return this._client.publishBatch('accountStream', id, 0, newEvents, {'metadata' : options.metadata});
 			}
 			else {
 				return new Promise((resolve, reject) => {
@@ -41,18 +81,18 @@ module.exports = class AccountService {
 				});
 			}
 		})
-		.then (results => {
-			if (results && results.length === 2) {  //results is an array.  first item is the new version number of the aggregate, 
-													//second is the timestamp of the create event that was published
-				logger.debug(`AccountService.create - id:${id} - results:${results}`);
-				const version = results[0];
-				const timestamp = results[1];
-				const account = new Account(id, version, timestamp);
-				this._accounts[id] = account;  //add the new account to the cache
-				return {'id' : id};
+		.then (result => {
+			if (result && result.status === 'ok') {  //result contains the new version number of the aggregate and
+													//the timestamps of the events that were published
+				logger.debug(`AccountService.create - id:${id} - version:${result.version}, timestamps:${result.timestamps}`);
+				account.version = result.version;
+				account.timestamp = result.timestamps[result.timestamps.length - 1];
+				this._cache.set(account);  //add the new account to the cache
+				this._snapshotIfDue(account, 0);
+				return {'id' : id, 'funds' : account.funds};
 			}
 			else {
-				throw new Error('Attempting to create an account id that already exists');
+				throw new errors.ConflictError('Attempting to create an account id that already exists', 'ACCOUNT_EXISTS');
 			}
 		})
 		.catch(err => {
@@ -65,32 +105,47 @@ module.exports = class AccountService {
 	 * Function for placing a deposit transaction against an account (ID)
 	 * @param {string} id - ID of account for the deposit.
 	 * @param {int} amount - deposit amount.
+	 * @param {Object} options - transferId: ID of the transfer the deposit is a leg of,
+	 * 							metadata: {correlationId, causationId, actor} stored in the event envelope,
+	 * 							idempotencyKey: client-supplied key, a replay within the retention window returns the
+	 * 							original result without publishing a new event.  Reusing the key for a different amount
+	 * 							is rejected with a ConflictError
 	 * @return {Object} - successful - object containing the ID and amount,
-	 * 						if there's a concurrency conflict or other error, a null object will be returned.
+	 * 						if there's a concurrency conflict (after any retries), a null object will be returned.
 	 */
-	deposit(id, amount) {
+	deposit(id, amount, options = {}) {
 		let account;
 		
-		return this._loadAccount(id) //attempt to load the account from cache and/or rehydrate from events
-		.then(result => {
-			account = result;
-			account.deposit(amount);
-			const newEvent = {'id' : id, 'version' : account.version, 'type': 'deposit', 'amount': amount};
-			return this._client.publish('accountStream', newEvent);
-		})
-		.then(results => {
-			logger.debug(`AccountService.deposit - id:${id}, amount:${amount} - results:${results}`);
-			if (results) {
-				account.version = results[0];
-				account.timestamp = results[1];
-				this._accounts[id] = account; //update the account cache
-				return {'id': id, 'amount': amount};
-			}
-			else {
-				account.withdraw(amount); //rolling back aggregate due to unsuccessful publishing of deposit event
-				return null;
-			}
-		})
+		const request = this._idempotentRequest(id, 'deposit', options.idempotencyKey,
+			{'amount': amount, 'transferId': options.transferId});
+		
+		return this._idempotent(request, () => this._retryOnConflict(id, () => {
+			return this._loadAccount(id) //attempt to load the account from cache and/or rehydrate from events
+			.then(result => {
+				account = result;
+				account.deposit(amount);
+				const newEvent = {'id' : id, 'version' : account.version, 'type': 'deposit', 'amount': amount};
+				if (options.transferId) {
+					newEvent.transferId = options.transferId;
+				}
+				const idempotency = this._idempotency(request, {'id': id, 'amount': amount});
+				return this._client.publish('accountStream', newEvent, {'metadata' : options.metadata, 'idempotency' : idempotency});
+			})
+			.then(result => {
+				logger.debug(`AccountService.deposit - id:${id}, amount:${amount} - status:${result.status}`);
+				if (result.status === 'ok') {
+					const previousVersion = account.version;
+					account.version = result.version;
+					account.timestamp = result.timestamp;
+					this._cache.set(account); //update the account cache
+					this._snapshotIfDue(account, previousVersion);
+					return {'id': id, 'amount': amount};
+				}
+				else {  //the cached account is left as it was, as the deposit was applied to a copy
+					return result.status === 'duplicate' ? this._replay(request, result.result) : null;  //duplicate - a concurrent replay won
+				}
+			});
+		}))
 		.catch(err => {
 			logger.error(`PlayerService.deposit - id:${id}, amount:${amount} - ${err}`);
 			throw err;
@@ -113,6 +168,60 @@ module.exports = class AccountService {
 		});
 	}
 	
+	/**
+	 * Function for fetching the state of an account at a point in the past.  The account is rehydrated only from the
+	 * events up to the given version, stream id or wall-clock time (the time Redis stamped in the stream id).
+	 * @param {string} id - ID of account.
+	 * @param {Object} point - one of version: account version, timestamp: Redis stream id, time: epoch time in ms
+	 * @return {Object} - successful - account object, null if the account didn't exist yet at that point
+	 */
+	fetchAsOf(id, point) {
+		return this._client.get('accountStream', id, 0)
+		.then(events => {
+			logger.debug(`AccountService.fetchAsOf - id:${id}, point:${JSON.stringify(point)} - events.length:${events.length}`);
+			if (events.length === 0) {
+				throw new errors.NotFoundError('Non-existent account id', 'ACCOUNT_NOT_FOUND');
+			}
+			const account = new Account(id);
+			account.rehydrate(events.filter(event => this._isAsOf(event, point)));
+			return account.version > 0 ? account.toObject() : null;
+		})
+		.catch(err => {
+			logger.error(`AccountService.fetchAsOf - id:${id}, point:${JSON.stringify(point)} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Function for fetching the status of a transfer
+	 * @param {string} id - ID of the transfer.
+	 * @return {Object} - successful - transfer object, null if no such transfer exists
+	 */
+	fetchTransfer(id) {
+		return this._client.get('transferStream', id, 0)
+		.then(events => {
+			logger.debug(`AccountService.fetchTransfer - id:${id} - events.length:${events.length}`);
+			if (events.length === 0) {
+				return null;
+			}
+			const transfer = new Transfer(id);
+			transfer.rehydrate(events);
+			return transfer.toObject();
+		})
+		.catch(err => {
+			logger.error(`AccountService.fetchTransfer - id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Function for fetching the metrics of the account cache
+	 * @return {Object} - hits, misses, evictions (size limit), expirations (ttl) and the number of cached accounts
+	 */
+	cacheMetrics() {
+		return this._cache.metrics();
+	}
+	
 	/**
 	 * Function for clean up.  Shuts down redis client in the event store.
 	 * @return void
@@ -122,36 +231,151 @@ module.exports = class AccountService {
 		this._client.close();
 	}
 	
+	/**
+	 * Function for fetching a page of the events (transactions) of an account
+	 * @param {string} id - ID of account.
+	 * @param {Object} options - from, to: points in time bounding the events, each either timestamp: Redis stream id
+	 * 							or time: epoch time in ms.  cursor: value of 'next' returned by the previous page.
+	 * 							limit: page size.  reverse: true for newest events first
+	 * @return {Object} - {events, next}, where events contain the type, amount, version, stream id and time of each event
+	 * and next is the cursor for the following page, null if there are no more events
+	 */
+	history(id, options = {}) {
+		let start = this._streamId(options.from, false);
+		let end = this._streamId(options.to, true);
+		if (options.cursor) {
+			if (options.reverse) {
+				end = options.cursor;
+			}
+			else {
+				start = options.cursor;
+			}
+		}
+		
+		return this._client.range('accountStream', id, {'start': start, 'end': end, 'count': options.limit, 
+			'reverse': options.reverse})
+		.then(page => {
+			logger.debug(`AccountService.history - id:${id} - events.length:${page.events.length}, next:${page.next}`);
+			const events = page.events.map(event => {
+				const time = event.metadata.occurredAt || new Date(parseInt(event.timestamp.split('-')[0])).toISOString();
+				return {'type': event.type, 'amount': event.amount, 'version': event.version, 'streamId': event.timestamp, 
+					'time': time};
+			});
+			return {'events': events, 'next': page.next};
+		})
+		.catch(err => {
+			logger.error(`AccountService.history - id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Function for taking an on-demand snapshot of an account
+	 * @param {string} id - ID of account.
+	 * @return {Object} - successful - object containing the ID and the version of the snapshot
+	 */
+	snapshot(id) {
+		return this._loadAccount(id)
+		.then(account => {
+			return this._client.saveSnapshot('accountStream', account.toSnapshot())
+			.then(_ => {
+				return {'id': id, 'version': account.version};
+			});
+		})
+		.catch(err => {
+			logger.error(`AccountService.snapshot - id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Function for waiting until the event store is connected, commands sent before fail with UnavailableError
+	 * @return {promise} - resolves once the event store can be used
+	 */
+	ready() {
+		return this._connected;
+	}
+
+	/**
+	 * Function for initiating a transfer of funds between two accounts.  Only the 'transferInitiated' event is published
+	 * here; the withdrawal and deposit legs are carried out asynchronously by the TransferProcessManager.
+	 * @param {string} fromId - ID of the account funds are withdrawn from.
+	 * @param {string} toId - ID of the account funds are deposited to.
+	 * @param {int} amount - transfer amount.
+	 * @param {Object} options - metadata: {correlationId, causationId, actor} stored in the event envelope
+	 * @return {Object} - successful - object containing the transfer ID and its status
+	 */
+	transfer(fromId, toId, amount, options = {}) {
+		const id = uuidv4();
+		
+		return Promise.resolve()
+		.then(_ => {
+			Account.validateAmount(amount);
+			if (fromId === toId) {
+				throw new errors.ValidationError('Attempting a transfer to the same account', 'SAME_ACCOUNT');
+			}
+			return Promise.all([this._loadAccount(fromId), this._loadAccount(toId)]);  //both accounts must exist
+		})
+		.then(_ => {
+			const newEvent = {'id' : id, 'version' : 0, 'type': 'transferInitiated', 'from': fromId, 'to': toId, 'amount': amount};
+			return this._client.publish('transferStream', newEvent, {'metadata' : options.metadata});
+		})
+		.then(result => {
+			logger.debug(`AccountService.transfer - id:${id}, fromId:${fromId}, toId:${toId}, amount:${amount}\
+			 - status:${result.status}`);
+			return {'id': id, 'status': 'initiated'};
+		})
+		.catch(err => {
+			logger.error(`AccountService.transfer - fromId:${fromId}, toId:${toId}, amount:${amount} - ${err}`);
+			throw err;
+		});
+	}
+	
 	/**
 	 * Function for placing a withdrawal transaction against an account (ID)
 	 * @param {string} id - ID of account for the deposit.
 	 * @param {int} amount - withdrawal amount.
+	 * @param {Object} options - transferId: ID of the transfer the withdrawal is a leg of,
+	 * 							metadata: {correlationId, causationId, actor} stored in the event envelope,
+	 * 							idempotencyKey: client-supplied key, a replay within the retention window returns the
+	 * 							original result without publishing a new event.  Reusing the key for a different amount
+	 * 							is rejected with a ConflictError
 	 * @return {Object} - successful - object containing the ID and amount,
-	 * 						if there's a concurrency conflict or other error, a null object will be returned.
+	 * 						if there's a concurrency conflict (after any retries), a null object will be returned.
 	 */
-	withdraw(id, amount) {
+	withdraw(id, amount, options = {}) {
 		let account;
 		
-		return this._loadAccount(id)
-		.then(result => {
-			account = result;
-			account.withdraw(amount);
-			const newEvent = {'id' : id, 'version' : account.version, 'type': 'withdraw', 'amount': amount};
-			return this._client.publish('accountStream', newEvent);
-		})
-		.then(results => {
-			logger.debug(`AccountService.withdraw - id:${id}, amount:${amount} - results:${results}`);
-			if (results) {
-				account.version = results[0];
-				account.timestamp = results[1];
-				this._accounts[id] = account;
-				return {'id': id, 'amount': amount};
-			}
-			else {
-				account.deposit(amount); //rolling back aggregate due to unsuccessful publishing of withdraw event
-				return null;
-			}
-		})
+		const request = this._idempotentRequest(id, 'withdraw', options.idempotencyKey,
+			{'amount': amount, 'transferId': options.transferId});
+		
+		return this._idempotent(request, () => this._retryOnConflict(id, () => {
+			return this._loadAccount(id)
+			.then(result => {
+				account = result;
+				account.withdraw(amount);
+				const newEvent = {'id' : id, 'version' : account.version, 'type': 'withdraw', 'amount': amount};
+				if (options.transferId) {
+					newEvent.transferId = options.transferId;
+				}
+				const idempotency = this._idempotency(request, {'id': id, 'amount': amount});
+				return this._client.publish('accountStream', newEvent, {'metadata' : options.metadata, 'idempotency' : idempotency});
+			})
+			.then(result => {
+				logger.debug(`AccountService.withdraw - id:${id}, amount:${amount} - status:${result.status}`);
+				if (result.status === 'ok') {
+					const previousVersion = account.version;
+					account.version = result.version;
+					account.timestamp = result.timestamp;
+					this._cache.set(account);
+					this._snapshotIfDue(account, previousVersion);
+					return {'id': id, 'amount': amount};
+				}
+				else {
+					return result.status === 'duplicate' ? this._replay(request, result.result) : null;  //duplicate - a concurrent replay won
+				}
+			});
+		}))
 		.catch(err => {
 			logger.error(`AccountService.withdraw - id:${id}, amount:${amount} - ${err}`);
 			throw err;
@@ -159,32 +383,121 @@ module.exports = class AccountService {
 	}
 	
 	/**
-	 * Private function for fetching an account object.  Attempts to load the account from cache.  Account object
-	 * rehydrated from events from eventstore.  If no events are found for ID given, error is thrown.
+	 * Private function that builds the idempotency options of a publish
+	 * @private
+	 * @param {Object} request - idempotent request, as returned by _idempotentRequest.  null if there's no key
+	 * @param {Object} result - result to be returned on replays of the command
+	 * @return {Object} - idempotency options for EventStoreClient.publish, undefined if there's no key
+	 */
+	_idempotency(request, result) {
+		if (request) {
+			return {'key': request.key, 'result': {'requestHash': request.hash, 'response': result},
+				'retention': this._idempotencyRetention};
+		}
+	}
+	
+	/**
+	 * Private function that runs a command unless its idempotency key has already been recorded, in which case the
+	 * original result of the command is returned.
+	 * @private
+	 * @param {Object} request - idempotent request, as returned by _idempotentRequest.  null if there's no key
+	 * @param {function} command - function returning a promise of the command result
+	 * @return {Object} - result of the command
+	 */
+	_idempotent(request, command) {
+		if (!request) {
+			return command();
+		}
+		
+		return this._client.getIdempotentResult('accountStream', request.key)
+		.then(recorded => {
+			if (recorded) {
+				logger.debug(`AccountService._idempotent - key:${request.key} - replaying recorded result`);
+				return this._replay(request, recorded);
+			}
+			return command();
+		});
+	}
+	
+	/**
+	 * Private function that identifies an idempotent request.  The client-supplied key is scoped to the account and the
+	 * operation, and the payload is hashed so that a key reused for a different request can be detected.
+	 * @private
+	 * @param {string} id - ID of account.
+	 * @param {string} operation - name of the command, e.g. 'deposit'
+	 * @param {string} key - client-supplied idempotency key, may be undefined
+	 * @param {Object} payload - parameters of the command
+	 * @return {Object} - {key, hash}, null if there's no key
+	 */
+	_idempotentRequest(id, operation, key, payload) {
+		if (!key) {
+			return null;
+		}
+		const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+		return {'key': `${id}:${operation}:${key}`, 'hash': hash};
+	}
+	
+	/**
+	 * Private function that determines whether an event happened at or before a point in time
+	 * @private
+	 * @param {Object} event - event object
+	 * @param {Object} point - one of version: account version, timestamp: Redis stream id, time: epoch time in ms
+	 * @return {boolean} - true if the event is part of the account state at that point
+	 */
+	_isAsOf(event, point) {
+		if (point.hasOwnProperty('version')) {
+			return event.version <= point.version;
+		}
+		else if (point.hasOwnProperty('timestamp')) {
+			return EventStore.compareIds(event.timestamp, point.timestamp) <= 0;
+		}
+		else {
+			return parseInt(event.timestamp.split('-')[0]) <= point.time;  //first part of a stream id is its epoch time in ms
+		}
+	}
+	
+	/**
+	 * Private function for fetching an account object.  Attempts to load the account from cache, then from the latest
+	 * snapshot.  Account object is rehydrated from the events in the eventstore published after the cached/snapshot version.
+	 * If neither a snapshot nor events are found for ID given, error is thrown.  The account returned is a copy, commands
+	 * applied to it only reach the cache once their events are published.
 	 * @private
 	 * @param {string} id - ID of account.
 	 * @return {Object} - successful - object containing the account
 	 */
 	_loadAccount(id) {
-		let account;
-		let inCache = false;
+		let account = this._cache.get(id);
+		let isNew = false;
+		let load;
 	
-		if (this._accounts.hasOwnProperty(id)) {
-			account = this._accounts[id];
-			inCache = true;
+		if (account) {
+			load = Promise.resolve(account);
 		}
 		else {
-			account = new Account(id);
+			load = this._client.getSnapshot('accountStream', id)
+			.then(snapshot => {
+				const restored = Account.fromSnapshot(snapshot);  //null if there's no snapshot or its schema is outdated
+				if (restored) {
+					return restored;
+				}
+				isNew = true;
+				return new Account(id);
+			});
 		}
 		
-		return this._client.get('accountStream', id, account.timestamp)
+		return load
+		.then(result => {
+			account = result;
+			return this._client.get('accountStream', id, account.timestamp);
+		})
 		.then(events => {
-			logger.debug(`AccountService._loadAccount - id:${id} - events.length:${events.length}`);
-			if (!inCache && events.length === 0) {
-				throw new Error('Non-existent account id');
+			logger.debug(`AccountService._loadAccount - id:${id} - version:${account.version}, events.length:${events.length}`);
+			if (isNew && events.length === 0) {
+				throw new errors.NotFoundError('Non-existent account id', 'ACCOUNT_NOT_FOUND');
 			}
 			else {			
 				account.rehydrate(events);	
+				this._cache.set(account);
 				return account;
 			}
 		})
@@ -193,4 +506,78 @@ module.exports = class AccountService {
 			throw err;
 		});
 	}
-};
+	
+	/**
+	 * Private function that returns the recorded response of an idempotent request
+	 * @private
+	 * @param {Object} request - idempotent request, as returned by _idempotentRequest
+	 * @param {Object} recorded - {requestHash, response} recorded by the original request
+	 * @return {Object} - response of the original request.  Throws ConflictError if the key was used for a different request
+	 */
+	_replay(request, recorded) {
+		if (recorded.requestHash !== request.hash) {
+			throw new errors.ConflictError('Idempotency key already used for a different request', 'IDEMPOTENCY_KEY_REUSED');
+		}
+		return recorded.response;
+	}
+	
+	/**
+	 * Private function that retries a command on concurrency conflicts.  Each attempt reloads the account, so the command
+	 * is re-validated against the events that won the conflict.  Attempts are spaced by an exponential backoff with full
+	 * jitter, so that competing instances don't collide again.
+	 * @private
+	 * @param {string} id - ID of account.
+	 * @param {function} command - function returning a promise of the command result, null on a conflict
+	 * @param {int} attempt - number of attempts made so far
+	 * @return {Object} - result of the command, null if the conflict persisted through all retries
+	 */
+	_retryOnConflict(id, command, attempt = 0) {
+		return command()
+		.then(result => {
+			if (result !== null || attempt >= this._conflictRetries) {
+				return result;
+			}
+			const delay = Math.floor(Math.random() * this._conflictBackoff * Math.pow(2, attempt));
+			logger.debug(`AccountService._retryOnConflict - id:${id} - conflict, retry ${attempt + 1} in ${delay} ms`);
+			return new Promise(resolve => setTimeout(resolve, delay))
+			.then(_ => this._retryOnConflict(id, command, attempt + 1));
+		});
+	}
+	
+	/**
+	 * Private function that saves a snapshot of an account each time its version crosses a multiple of snapshotFrequency.
+	 * Failures are logged only, as the account can always be rehydrated from its events.
+	 * @private
+	 * @param {Object} account - account object
+	 * @param {int} previousVersion - version of the account prior to the events just published
+	 * @return void
+	 */
+	_snapshotIfDue(account, previousVersion) {
+		if (this._snapshotFrequency > 0 && 
+			Math.floor(account.version / this._snapshotFrequency) > Math.floor(previousVersion / this._snapshotFrequency)) {
+			this._client.saveSnapshot('accountStream', account.toSnapshot())
+			.catch(err => {
+				logger.error(`AccountService._snapshotIfDue - id:${account.id} - ${err}`);
+			});
+		}
+	}
+	
+	/**
+	 * Private function that converts a point in time into a Redis stream id range boundary
+	 * @private
+	 * @param {Object} point - either timestamp: Redis stream id or time: epoch time in ms, may be undefined
+	 * @param {boolean} isEnd - true for the end of a range, which includes all stream ids of the same millisecond
+	 * @return {string} - Redis stream id, undefined if no point is given
+	 */
+	_streamId(point, isEnd) {
+		if (!point) {
+			return undefined;
+		}
+		else if (point.hasOwnProperty('timestamp')) {
+			return point.timestamp;
+		}
+		else {
+			return isEnd ? `${point.time}-18446744073709551615` : `${point.time}-0`;
+		}
+	}
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Copies the events of the account stream into per-account streams ('aggregate' layout)
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const EventStoreClient = require('./eventStoreClient');
+const logger = require('./accountLogger');
+const REDIS_PORT = 6379;
+const REDIS_HOST = 'localhost';
+const STREAM_NAME = 'accountStream';
+
+const client = new EventStoreClient(REDIS_PORT, REDIS_HOST);
+client.connect()
+.then(_ => client.migrate(STREAM_NAME))
+.then(copied => {
+	logger.info(`Account stream migration - events copied:${copied}`);
+})
+.catch(err => {
+	logger.error(`Account stream migration - ${err}`);
+	process.exitCode = 1;
+})
+.finally(_ => {
+	client.close();
+});
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Bounded cache of aggregates
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+
+/** @desc Least recently used cache of aggregates, bounded in size and in the time an entry is kept.  Aggregates are
+ * stored as snapshots and every get builds a new aggregate from the snapshot, so changes made to a fetched aggregate
+ * only reach the cache through set (copy-on-write).
+ */
+module.exports = class AggregateCache {
+
+	/**
+	 * @param {function} fromSnapshot - function building an aggregate from a snapshot, e.g. Account.fromSnapshot
+	 * @param {Object} options - maxSize: maximum number of aggregates, the least recently used are evicted beyond it,
+	 * 							ttl: time (in ms) an aggregate is kept after it was last set, 0 keeps it until evicted
+	 */
+	constructor(fromSnapshot, options = {}) {
+		this._fromSnapshot = fromSnapshot;
+		this._maxSize = options.maxSize !== undefined ? options.maxSize : 1000;
+		this._ttl = options.ttl !== undefined ? options.ttl : 300000;  //5 minutes
+		this._entries = new Map();  //id -> {snapshot, expiresAt}, in least to most recently used order
+		this._metrics = {'hits': 0, 'misses': 0, 'evictions': 0, 'expirations': 0};
+	}
+
+	/**
+	 * Removes all aggregates
+	 * @return void
+	 */
+	clear() {
+		this._entries.clear();
+	}
+
+	/**
+	 * Removes an aggregate
+	 * @param {string} id - ID of the aggregate
+	 * @return void
+	 */
+	delete(id) {
+		this._entries.delete(id);
+	}
+
+	/**
+	 * Fetches a copy of an aggregate and marks it as most recently used
+	 * @param {string} id - ID of the aggregate
+	 * @return {Object} - aggregate, null if not cached or expired
+	 */
+	get(id) {
+		const entry = this._entries.get(id);
+		if (!entry) {
+			this._metrics.misses += 1;
+			return null;
+		}
+		this._entries.delete(id);
+		if (entry.expiresAt <= Date.now()) {
+			this._metrics.expirations += 1;
+			this._metrics.misses += 1;
+			return null;
+		}
+		this._entries.set(id, entry);
+		this._metrics.hits += 1;
+		return this._fromSnapshot(entry.snapshot);
+	}
+
+	/**
+	 * Provides the cache metrics
+	 * @return {Object} - hits, misses, evictions (size limit), expirations (ttl) and the current size
+	 */
+	metrics() {
+		return Object.assign({'size': this._entries.size}, this._metrics);
+	}
+
+	/**
+	 * Stores a copy of an aggregate, evicting the least recently used aggregates beyond the size limit
+	 * @param {Object} aggregate - aggregate providing id and toSnapshot()
+	 * @return void
+	 */
+	set(aggregate) {
+		if (this._maxSize <= 0) {
+			return;
+		}
+		this._entries.delete(aggregate.id);
+		this._entries.set(aggregate.id, {
+			'snapshot': aggregate.toSnapshot(),
+			'expiresAt': this._ttl > 0 ? Date.now() + this._ttl : Infinity
+		});
+		while (this._entries.size > this._maxSize) {
+			this._entries.delete(this._entries.keys().next().value);  //Map iterates in insertion order, oldest first
+			this._metrics.evictions += 1;
+		}
+	}
+};
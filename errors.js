@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Error classes of the account microservice
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+
+/** @desc Base class of the errors raised by the account microservice.  Each error carries a stable code that clients
+ * can rely on, unlike the message:
+ * 		INVALID_AMOUNT, INVALID_ID, INVALID_PARAMETER, SAME_ACCOUNT - ValidationError
+ * 		ACCOUNT_NOT_FOUND, TRANSFER_NOT_FOUND - NotFoundError
+ * 		ACCOUNT_EXISTS, VERSION_CONFLICT, IDEMPOTENCY_KEY_REUSED - ConflictError
+ * 		INSUFFICIENT_FUNDS - BusinessRuleError
+ * 		EVENT_STORE_UNAVAILABLE - UnavailableError
+ */
+class ServiceError extends Error {
+
+	/**
+	 * @param {string} message - description of the error
+	 * @param {string} code - stable error code
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+	}
+}
+
+/** @desc The input of a command or query is invalid */
+class ValidationError extends ServiceError {}
+
+/** @desc The aggregate (account, transfer) doesn't exist */
+class NotFoundError extends ServiceError {}
+
+/** @desc The command conflicts with the current state of the event store: an existing id, or a concurrent update */
+class ConflictError extends ServiceError {}
+
+/** @desc The command is valid, but breaks a business rule of the aggregate (e.g. overdraft) */
+class BusinessRuleError extends ServiceError {}
+
+/** @desc The event store can't be reached */
+class UnavailableError extends ServiceError {
+
+	/**
+	 * @param {string} message - description of the error
+	 * @param {string} code - stable error code
+	 * @param {Error} cause - underlying error, e.g. a Redis connection error
+	 */
+	constructor(message, code, cause) {
+		super(message, code);
+		this.cause = cause;
+	}
+}
+
+module.exports = {
+	'ServiceError' : ServiceError,
+	'ValidationError' : ValidationError,
+	'NotFoundError' : NotFoundError,
+	'ConflictError' : ConflictError,
+	'BusinessRuleError' : BusinessRuleError,
+	'UnavailableError' : UnavailableError
+};
@@ -0,0 +1,545 @@
+/**
+ * @fileoverview Event store interface, implemented by EventStoreClient (Redis Streams) and MemoryEventStore
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const uuidv4 = require('uuid/v4');
+const logger = require('./eventStoreLogger');
+const METADATA_FIELDS = ['eventId', 'correlationId', 'causationId', 'occurredAt', 'actor'];  //envelope stream fields
+const MAX_SEQUENCE = '18446744073709551615';  //largest sequence number of a stream id
+const DEAD_LETTER_FIELDS = ['originalId', 'reason', 'deliveryCount', 'groupName', 'deadLetteredAt'];  //stream fields added to dead letters
+
+/** @desc Event store interface.  Events are appended to streams, each entry identified by a Redis-style stream id
+ * (<ms>-<sequence>) that serves as the event's timestamp.  Each event belongs to an aggregate, whose version is
+ * checked on append (optimistic concurrency).  Streams are consumed through consumer groups: each group receives every
+ * event, events stay pending until ack'ed, and pending events can be re-claimed and are eventually dead-lettered.
+ * Implementations provide the abstract methods below; upcasting, the stream entry format and the helpers built on the
+ * abstract methods are shared.
+ */
+module.exports = class EventStore {
+
+	/**
+	 * @param {Object} options - batchSize: maximum number of events delivered per subscription read,
+	 * 							maxDeliveries: number of deliveries after which getPending moves an event to the dead-letter stream
+	 */
+	constructor(options = {}) {
+		this._subscriptions = [];
+		this._upcasters = {};  //map of event type -> schema version -> upcaster function
+		this._schemaVersions = {};  //map of event type -> declared current schema version
+		this._batchSize = options.batchSize || 100;
+		this._maxDeliveries = options.maxDeliveries || 5;
+	}
+
+	/**
+	 * Acks one or more events of a consumer group: they're removed from its pending queue
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string|array} timestamp - stream id of the event, or array of them
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {integer} - number of events ack'ed
+	 */
+	ack(streamName, timestamp, groupName) {
+		return this._notImplemented('ack');
+	}
+
+	/**
+	 * Adds an id to a set of unique ids
+	 * @abstract
+	 * @param {string} id - ID to be added
+	 * @param {string} type - type of id, i.e. name of the set
+	 * @return {int} - 1 if the id was added (unique), 0 if it was already in the set
+	 */
+	addId(id, type) {
+		return this._notImplemented('addId');
+	}
+
+	/**
+	 * Releases the resources of the store, including its subscriptions
+	 * @abstract
+	 * @return void
+	 */
+	close() {
+		throw new Error(`${this.constructor.name}.close is not implemented`);
+	}
+
+	/**
+	 * Prepares the store for use
+	 * @abstract
+	 * @return {promise} - resolves once the store can be used
+	 */
+	connect() {
+		throw new Error(`${this.constructor.name}.connect is not implemented`);
+	}
+
+	/**
+	 * Moves a pending event to the dead-letter stream (<streamName>:dlq) and acks it
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} timestamp - stream id of the event
+	 * @param {string} reason - failure reason.  Defaults to the last failure recorded with recordFailure
+	 * @param {int} deliveryCount - number of times the event was delivered
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {string} - stream id of the dead letter, null if the event no longer exists
+	 */
+	deadLetter(streamName, timestamp, reason, deliveryCount, groupName) {
+		return this._notImplemented('deadLetter');
+	}
+
+	/**
+	 * Fetches the events of an aggregate appended after a stream id
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} id - ID of the aggregate
+	 * @param {string} timestamp - stream id, only events after it are returned.  0 for all events.
+	 * @return {array} - array of event objects
+	 */
+	get(streamName, id, timestamp) {
+		return this._notImplemented('get');
+	}
+
+	/**
+	 * Fetches a dead-lettered event
+	 * @param {string} streamName - name of the stream the event was dead-lettered from
+	 * @param {string} id - stream id of the dead letter
+	 * @return {Object} - event object, whose metadata includes originalId, reason, deliveryCount, groupName and deadLetteredAt.
+	 * null if not found
+	 */
+	getDeadLetter(streamName, id) {
+		return this.range(this._deadLetterStream(streamName), null, {'start': id, 'end': id, 'count': 1})
+		.then(page => {
+			return page.events.length > 0 ? page.events[0] : null;
+		});
+	}
+
+	/**
+	 * Fetches the result recorded under an idempotency key by publishBatch
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} key - idempotency key
+	 * @return {Object} - recorded result, null if the key is unknown or its retention has expired
+	 */
+	getIdempotentResult(streamName, key) {
+		return this._notImplemented('getIdempotentResult');
+	}
+
+	/**
+	 * Claims the events of a consumer group that have been pending for longer than maxElapsed.  An event that has
+	 * already been delivered maxDeliveries times is moved to the dead-letter stream instead.
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} consumerName - name of the consumer claiming the events
+	 * @param {int} maxElapsed - time (in ms) beyond which a pending event is claimed
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {array} - array of the claimed events, each with the number of times it has been delivered as deliveryCount.
+	 * Empty if the group doesn't exist.
+	 */
+	getPending(streamName, consumerName, maxElapsed, groupName) {
+		return this._notImplemented('getPending');
+	}
+
+	/**
+	 * Fetches the latest snapshot of an aggregate
+	 * @abstract
+	 * @param {string} streamName - name of the stream holding the aggregate's events
+	 * @param {string} id - ID of the aggregate
+	 * @return {Object} - snapshot object, null if none has been saved
+	 */
+	getSnapshot(streamName, id) {
+		return this._notImplemented('getSnapshot');
+	}
+
+	/**
+	 * Fetches the number of events in a stream
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @return {int} - number of events, 0 if the stream doesn't exist
+	 */
+	length(streamName) {
+		return this._notImplemented('length');
+	}
+
+	/**
+	 * Lists dead-lettered events, oldest first
+	 * @param {string} streamName - name of the stream the events were dead-lettered from
+	 * @param {Object} options - start, end, count: see range
+	 * @return {Object} - {events, next}: see range.  The metadata of each event includes originalId, reason,
+	 * deliveryCount, groupName and deadLetteredAt
+	 */
+	listDeadLetters(streamName, options = {}) {
+		return this.range(this._deadLetterStream(streamName), null, options);
+	}
+
+	/**
+	 * Provides the number of deliveries after which getPending moves an event to the dead-letter stream.  Subscribers can
+	 * compare it with the deliveryCount of an event to handle its last delivery.
+	 * @return {int}
+	 */
+	maxDeliveries() {
+		return this._maxDeliveries;
+	}
+
+	/**
+	 * Publishes an event.  Convenience wrapper around publishBatch for a single event.
+	 * @param {string} streamName - name of the stream
+	 * @param {Object} event - object containing the event to be published.  event.version is the expected current version.
+	 * @param {Object} options - see publishBatch
+	 * @return {Object} - {status: 'ok', version, timestamp} if successful, where version = new version number and
+	 * timestamp = stream id of the published event.  {status: 'conflict', currentVersion} if the expected version did
+	 * not match, then it's up to the client to make another publish attempt.  {status: 'duplicate', result}: see
+	 * publishBatch.
+	 */
+	publish(streamName, event, options = {}) {
+		return this.publishBatch(streamName, event.id, event.version, [event], options)
+		.then(result => {
+			if (result.status === 'ok') {
+				return {'status': 'ok', 'version': result.version, 'timestamp': result.timestamps[0]};
+			}
+			else {
+				return result;
+			}
+		});
+	}
+
+	/**
+	 * Publishes a list of events for one aggregate, atomically: either all events are added or none, and only if the
+	 * aggregate is still at the expected version.  Of concurrent publishes for the same aggregate, only 1 succeeds.
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} aggregateId - ID of the aggregate the events belong to
+	 * @param {int} expectedVersion - current version of the aggregate as known by the caller
+	 * @param {array} events - list of event objects.  Each is stamped with the id, its new version and, if not set,
+	 * the current schema version of its type (see registerSchemaVersion).
+	 * @param {Object} options - metadata: {correlationId, causationId, actor} stored, together with a generated eventId and
+	 * occurredAt time, in the envelope of each event.  correlationId defaults to the eventId of the first event.
+	 * idempotency: {key, result, retention} records result under key for retention ms, atomically with the events.
+	 * If the key was already recorded nothing is published.  A key requires a positive (integer) retention, otherwise
+	 * the publish is rejected.
+	 * @return {Object} - {status: 'ok', version, timestamps} if successful, where version = new version number and
+	 * timestamps = stream ids of the published events.  {status: 'conflict', currentVersion} if the expected version did
+	 * not match.  {status: 'duplicate', result} if the idempotency key was already recorded, with the result recorded at
+	 * that time.
+	 */
+	publishBatch(streamName, aggregateId, expectedVersion, events, options = {}) {
+		return this._notImplemented('publishBatch');
+	}
+
+	/**
+	 * Reads a page of events, in stream order or reverse order, between two stream ids
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} id - ID of the aggregate whose events are read, null for all events of the stream
+	 * @param {Object} options - start: first stream id (inclusive, default '-'), end: last stream id (inclusive, default '+'),
+	 * 							count: page size (default 100), reverse: true to read from end to start
+	 * @return {Object} - {events, next}, where next is the stream id to continue reading from (start, or end if reverse),
+	 * null if the range is exhausted
+	 */
+	range(streamName, id, options = {}) {
+		return this._notImplemented('range');
+	}
+
+	/**
+	 * Records why the handling of events failed.  The reason is carried over to the dead-letter stream if the events
+	 * are eventually dead-lettered, and cleared when they are ack'ed.
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {array} timestamps - stream ids of the events
+	 * @param {string} reason - failure reason
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {promise}
+	 */
+	recordFailure(streamName, timestamps, reason, groupName) {
+		return this._notImplemented('recordFailure');
+	}
+
+	/**
+	 * Declares the current schema version of an event type, stamped on the events of that type when they're published.
+	 * Without a declaration, the current version is the one the registered upcasters of the type lead to (1 if there are
+	 * none).  A type introduced by a rename must be declared, e.g. 'withdrawal' at version 2 if 'withdraw' version 1 is
+	 * upcast to it, as the upcasters of the old type can't tell which type they produce.
+	 * @param {string} type - event type
+	 * @param {int} schemaVersion - current schema version of the type
+	 * @return void
+	 */
+	registerSchemaVersion(type, schemaVersion) {
+		logger.debug(`${this.constructor.name}.registerSchemaVersion - type:${type}, schemaVersion:${schemaVersion}`);
+		this._schemaVersions[type] = schemaVersion;
+	}
+
+	/**
+	 * Registers a function that converts an event of the given type from one schema version to the next.  Upcasters are
+	 * chained and applied to every event read from a stream (get, getPending and subscriptions), so consumers always see
+	 * the latest shape.  An upcaster may change the event type, e.g. renaming 'withdraw' to 'withdrawal'; the chain then
+	 * continues with the upcasters registered for the new type.  Events stored without a schemaVersion are version 1.
+	 * @param {string} type - event type the upcaster applies to
+	 * @param {int} schemaVersion - schema version the upcaster converts from
+	 * @param {function} upcaster - function taking an event object and returning the event in schemaVersion + 1 shape
+	 * @return void
+	 */
+	registerUpcaster(type, schemaVersion, upcaster) {
+		logger.debug(`${this.constructor.name}.registerUpcaster - type:${type}, schemaVersion:${schemaVersion}`);
+		if (!this._upcasters[type]) {
+			this._upcasters[type] = {};
+		}
+		this._upcasters[type][schemaVersion] = upcaster;
+	}
+
+	/**
+	 * Re-publishes a dead-lettered event to its original stream, as a new entry, and removes it from the dead-letter
+	 * stream.  Subscribers of every consumer group will receive it again, so their handlers must be idempotent.
+	 * @abstract
+	 * @param {string} streamName - name of the stream the event was dead-lettered from
+	 * @param {string} id - stream id of the dead letter
+	 * @return {string} - stream id of the re-published event, null if the dead letter wasn't found
+	 */
+	replayDeadLetter(streamName, id) {
+		return this._notImplemented('replayDeadLetter');
+	}
+
+	/**
+	 * Persists a snapshot of an aggregate, replacing any previous one
+	 * @abstract
+	 * @param {string} streamName - name of the stream holding the aggregate's events
+	 * @param {Object} snapshot - serialized aggregate state.  Must contain the aggregate id.
+	 * @return {string} - 'OK' if successful
+	 */
+	saveSnapshot(streamName, snapshot) {
+		return this._notImplemented('saveSnapshot');
+	}
+
+	/**
+	 * Creates a subscription to a stream through a consumer group.  The subscription is returned un-started, so
+	 * listeners can be attached before calling start().
+	 * @abstract
+	 * @param {string} streamName - name of the stream
+	 * @param {string} consumerName - name of the consumer
+	 * @param {Object} options - ackMode: 'manual' (default) or 'auto', see EventStoreSubscription,
+	 * 							groupName: name of the consumer group, defaults to streamName + 'Group',
+	 * 							startId: where a new group starts reading - '0' (default) all events, '$' only new
+	 * 							events, or a stream id.  Ignored if the group already exists.
+	 * @return {EventStoreSubscription} - subscription emitting 'event', 'error' and 'idle' events
+	 */
+	subscribe(streamName, consumerName, options = {}) {
+		throw new Error(`${this.constructor.name}.subscribe is not implemented`);
+	}
+
+	/**
+	 * Compares two stream ids
+	 * @param {string} a - stream id
+	 * @param {string} b - stream id
+	 * @return {int} - negative if a is older than b, 0 if equal, positive if a is newer than b
+	 */
+	static compareIds(a, b) {
+		const partsA = String(a).split('-').map(part => parseInt(part) || 0);
+		const partsB = String(b).split('-').map(part => parseInt(part) || 0);
+		return (partsA[0] - partsB[0]) || ((partsA[1] || 0) - (partsB[1] || 0));
+	}
+
+	/**
+	 * Private function that builds the stream fields of a dead letter: the fields of the original entry plus the
+	 * dead-letter fields
+	 * @private
+	 * @param {array} fields - stream fields of the original entry
+	 * @param {string} timestamp - stream id of the original entry
+	 * @param {string} reason - failure reason, defaults to exceeding maxDeliveries
+	 * @param {int} deliveryCount - number of times the event was delivered
+	 * @param {string} groupName - name of the consumer group
+	 * @return {array} stream fields
+	 */
+	_deadLetterFields(fields, timestamp, reason, deliveryCount, groupName) {
+		return fields.concat(['originalId', timestamp, 'reason', reason || `Exceeded ${this._maxDeliveries} deliveries`,
+			'deliveryCount', String(deliveryCount || ''), 'groupName', groupName, 'deadLetteredAt', new Date().toISOString()]);
+	}
+
+	/**
+	 * Private function that returns the name of the dead-letter stream of a stream
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @return {string} name of the dead-letter stream
+	 */
+	_deadLetterStream(streamName) {
+		return `${streamName}:dlq`;
+	}
+
+	/**
+	 * Private function that builds the stream fields of a batch of events: the event payload, stamped with the
+	 * aggregate id and its new version, and the metadata envelope
+	 * @private
+	 * @param {string} aggregateId - ID of the aggregate the events belong to
+	 * @param {int} expectedVersion - current version of the aggregate
+	 * @param {array} events - list of event objects
+	 * @param {Object} metadata - {correlationId, causationId, actor}, may be undefined
+	 * @return {array} array of stream fields ([field, value, ...]), one per event
+	 */
+	_eventFields(aggregateId, expectedVersion, events, metadata) {
+		const occurredAt = new Date().toISOString();
+		let correlationId;
+		return events.map((event, i) => {
+			const published = Object.assign({'schemaVersion': this._schemaVersion(event.type)}, event,
+				{'id': aggregateId, 'version': parseInt(expectedVersion) + i + 1});
+			const envelope = Object.assign({}, metadata, {'eventId': uuidv4(), 'occurredAt': occurredAt});
+			correlationId = correlationId || envelope.correlationId || envelope.eventId;
+			envelope.correlationId = correlationId;
+			let fields = ['event', JSON.stringify(published)];
+			METADATA_FIELDS.forEach((field) => {
+				if (envelope[field]) {
+					fields.push(field, String(envelope[field]));
+				}
+			});
+			return fields;
+		});
+	}
+
+	/**
+	 * Private function that returns the consumer group name to use
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {string} groupName - configured group name, may be undefined
+	 * @return {string} group name, streamName + 'Group' by default
+	 */
+	_groupName(streamName, groupName) {
+		return groupName || streamName + 'Group';
+	}
+
+	/**
+	 * Private function that validates the position a new consumer group starts reading from
+	 * @private
+	 * @param {string} startId - '0' all events, '$' only new events, or a stream id.  Defaults to '0'.
+	 * @return {string} start id
+	 */
+	_groupStartId(startId) {
+		startId = startId || '0';
+		if (startId !== '$' && !/^\d+(-\d+)?$/.test(startId)) {
+			throw new Error(`Invalid group start id: ${startId}`);
+		}
+		return startId;
+	}
+
+	/**
+	 * Private function checking the idempotency option of a publish before anything is written: the key is recorded
+	 * after the events, so a retention Redis rejects (PX 0) would leave the events published while the publish fails
+	 * @private
+	 * @param {Object} idempotency - {key, result, retention}, may be undefined
+	 * @return {Error} error to reject the publish with, null if the option is valid
+	 */
+	_idempotencyError(idempotency) {
+		if (!idempotency || !idempotency.key || (Number.isInteger(idempotency.retention) && idempotency.retention > 0)) {
+			return null;
+		}
+		return new Error(`Attempting an idempotent publish without a positive retention: ${idempotency.retention}`);
+	}
+
+	/**
+	 * Private function that returns the smallest stream id greater than the one given
+	 * @private
+	 * @param {string} timestamp - stream id
+	 * @return {string} next stream id
+	 */
+	_nextId(timestamp) {
+		const parts = timestamp.split('-');
+		return `${parts[0]}-${parseInt(parts[1]) + 1}`;
+	}
+
+	/**
+	 * Private function returning the rejection of an abstract method
+	 * @private
+	 * @param {string} name - name of the method
+	 * @return {promise} rejected promise
+	 */
+	_notImplemented(name) {
+		return Promise.reject(new Error(`${this.constructor.name}.${name} is not implemented`));
+	}
+
+	/**
+	 * Private function that converts a stream entry into an event object in its latest schema version
+	 * @private
+	 * @param {array} entry - stream entry: [stream id, [field, value, ...]]
+	 * @return {Object} event object, with the stream id as timestamp and the envelope fields as metadata
+	 */
+	_parse(entry) {
+		let event;
+		let metadata = {};
+		const fields = entry[1];
+		for (let i=0; i<fields.length; i+=2) {
+			if (fields[i] === 'event') {
+				event = JSON.parse(fields[i + 1]);
+			}
+			else {
+				metadata[fields[i]] = fields[i + 1];
+			}
+		}
+		event.timestamp = entry[0];
+		event = this._upcast(event);
+		event.metadata = metadata;
+		return event;
+	}
+
+	/**
+	 * Private function that returns the largest stream id smaller than the one given
+	 * @private
+	 * @param {string} timestamp - stream id
+	 * @return {string} previous stream id
+	 */
+	_previousId(timestamp) {
+		const parts = timestamp.split('-');
+		if (parts[1] === '0') {
+			return `${parseInt(parts[0]) - 1}-${MAX_SEQUENCE}`;
+		}
+		return `${parts[0]}-${parseInt(parts[1]) - 1}`;
+	}
+
+	/**
+	 * Private function that strips the dead-letter fields from the stream fields of a dead letter
+	 * @private
+	 * @param {array} fields - stream fields of the dead letter
+	 * @return {array} stream fields of the original entry
+	 */
+	_replayFields(fields) {
+		let original = [];
+		for (let i=0; i<fields.length; i+=2) {
+			if (DEAD_LETTER_FIELDS.indexOf(fields[i]) === -1) {
+				original.push(fields[i], fields[i + 1]);
+			}
+		}
+		return original;
+	}
+
+	/**
+	 * Private function that returns the current schema version of an event type: the declared one, otherwise the one
+	 * following the highest version with a registered upcaster
+	 * @private
+	 * @param {string} type - event type
+	 * @return {int} schema version
+	 */
+	_schemaVersion(type) {
+		if (this._schemaVersions[type]) {
+			return this._schemaVersions[type];
+		}
+		const versions = Object.keys(this._upcasters[type] || {}).map(version => parseInt(version));
+		return versions.length > 0 ? Math.max(...versions) + 1 : 1;
+	}
+
+	/**
+	 * Private function that applies the registered upcasters to an event until no upcaster matches its type and version
+	 * @private
+	 * @param {Object} event - event object as stored
+	 * @return {Object} event object in its latest schema version
+	 */
+	_upcast(event) {
+		if (!event.hasOwnProperty('schemaVersion')) {
+			event.schemaVersion = 1;
+		}
+
+		while (this._upcasters[event.type] && this._upcasters[event.type][event.schemaVersion]) {
+			const fromVersion = event.schemaVersion;
+			const timestamp = event.timestamp;
+			event = this._upcasters[event.type][fromVersion](event);
+			event.schemaVersion = fromVersion + 1;
+			event.timestamp = timestamp;
+		}
+		return event;
+	}
+};
@@ -9,34 +9,90 @@
 'use esversion 6';
 const redis = require('redis');
 const util = require('util');
-const events = require('events');
+const EventStore = require('./eventStore');
+const EventStoreSubscription = require('./eventStoreSubscription');
 const logger = require('./eventStoreLogger');
+const errors = require('./errors');
+const CONNECTION_ERRORS = ['NR_CLOSED', 'UNCERTAIN_STATE', 'CONNECTION_BROKEN', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT',
+	'EPIPE', 'EHOSTUNREACH', 'ENOTFOUND'];  //codes of the errors raised when Redis can't be reached
+const SCAN_COUNT = 1000;  //minimum number of entries read per XRANGE when range filters a shared stream by aggregate id
+
+/*
+ * Atomic publish of one or more events.  KEYS[1] = version key of the aggregate, KEYS[2] = idempotency key ('' if none),
+ * KEYS[3..n] = streams the events are added to (the first one is the stream read by get).  ARGV[1] = expected version,
+ * ARGV[2] = idempotency retention (ms), ARGV[3] = result recorded under the idempotency key, ARGV[4..m] = JSON array of
+ * the stream fields of each event (event payload + metadata envelope).
+ * Returns {'ok', new version, stream id of each event}, {'conflict', current version} or {'duplicate', recorded result}
+ */
+const PUBLISH_SCRIPT = `
+redis.replicate_commands()
+if KEYS[2] ~= '' then
+	local recorded = redis.call('GET', KEYS[2])
+	if recorded then
+		return {'duplicate', recorded}
+	end
+end
+local current = redis.call('GET', KEYS[1])
+if current and tonumber(current) ~= tonumber(ARGV[1]) then
+	return {'conflict', current}
+end
+local version = redis.call('INCRBY', KEYS[1], #ARGV - 3)
+local result = {'ok', version}
+for i = 4, #ARGV do
+	local fields = cjson.decode(ARGV[i])
+	for j = 3, #KEYS do
+		local id = redis.call('XADD', KEYS[j], '*', unpack(fields))
+		if j == 3 then
+			result[#result + 1] = id
+		end
+	end
+end
+if KEYS[2] ~= '' then
+	redis.call('SET', KEYS[2], ARGV[3], 'PX', ARGV[2])
+end
+return result
+`;
 
 
 /** @desc EventStore implementation with Redis Streams  */
-module.exports = class EventStoreClient {
-	constructor(redisPort, redisHost, readInterval = 30000) {
-		//internal variables to support event-based subscriptions to the redis streams
-		this._emitters = {};
-		this._intervals = [];
+module.exports = class EventStoreClient extends EventStore {
+	/**
+	 * @param {int} redisPort - redis port number
+	 * @param {string} redisHost - redis host name/address
+	 * @param {Object} options - blockTimeout: maximum time (in ms) a subscription read blocks waiting for new events,
+	 * 							batchSize: maximum number of events delivered per subscription read,
+	 * 							maxDeliveries: number of deliveries after which getPending moves an event to the dead-letter stream,
+	 * 							layout: 'single' - all events in one stream, 'aggregate' - one stream per aggregate id
+	 * 							(aggregate:<streamName>:<id>) plus the category stream for subscribers
+	 */
+	constructor(redisPort, redisHost, options = {}) {
+		super(options);
 		this._redisPort = redisPort;
 		this._redisHost = redisHost;
-		this._readInterval = readInterval;
+		this._blockTimeout = options.blockTimeout || 5000;
+		this._layout = options.layout || 'single';
+		if (this._layout !== 'single' && this._layout !== 'aggregate') {
+			throw new Error(`Unknown stream layout: ${this._layout}`);
+		}
 	}
 	
 	/**
-	 * Implements a Redis ack on an event
+	 * Implements a Redis ack on one or more events
 	 * @param {string} streamName - name of the Redis stream
-	 * @param {string} timestamp - Redis timestamp (id).
-	 * @return {integer} - number of events ack'ed.  Should equal 1.
+	 * @param {string|array} timestamp - Redis timestamp (id), or array of them.
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {integer} - number of events ack'ed.  Should equal the number of timestamps.
 	 */
-	ack(streamName, timestamp) {
-		let groupName = streamName + 'Group';
+	ack(streamName, timestamp, groupName) {
+		groupName = this._groupName(streamName, groupName);
+		const timestamps = [].concat(timestamp);
 		logger.debug(`EventStoreClient.ack - streamName:${streamName}, groupName:${groupName}, timestamp:${timestamp}`);
-		return this._xackAsync(streamName, groupName, timestamp)
-		.then(result => {
-			logger.debug(`EventStoreClient.ack - result:${result}`);
-			return result;
+		return this._exec(this._client.multi()
+			.xack(streamName, groupName, ...timestamps)
+			.hdel(this._failuresKey(streamName, groupName), ...timestamps))  //failures recorded on earlier deliveries are moot now
+		.then(replies => {
+			logger.debug(`EventStoreClient.ack - result:${replies[0]}`);
+			return replies[0];
 		})
 		.catch(err => {
 			logger.error(`EventStoreClient.ack - streamName:${streamName}, timestamp:${timestamp} - ${err}`);
@@ -68,37 +124,87 @@ module.exports = class EventStoreClient {
 	 */
 	close() {
 		logger.debug(`EventStoreClient.close`);
-		this._intervals.forEach((obj) => {
-			obj.clearInterval();
+		this._subscriptions.forEach((subscription) => {
+			subscription.stop();
 		});
 		this._client.quit();
 	}
 	
 	/**
-	 * Creates a redis client for stream operations
-	 * @param {int} redisPort - redis port number
-	 * @param {string} redisHost - redis host name/address
+	 * Creates a redis client for stream operations.  The offline queue of the client is disabled: while Redis can't be
+	 * reached, commands fail right away with UnavailableError instead of waiting for the connection to come back.  That
+	 * includes commands sent before the first connection is established, so callers wait for the returned promise.
+	 * @return {promise} - resolves once the client is connected (ready) for the first time
 	 */
 	connect(){
 		logger.debug(`EventStoreClient.connect`);
-		this._client = redis.createClient(this._redisPort, this._redisHost);
-		this._client.on('error', (err) => {
+		this._client = redis.createClient(this._redisPort, this._redisHost, {'enable_offline_queue' : false});
+		this._client.on('error', (err) => {  //the client reconnects by itself, commands meanwhile fail with UnavailableError
 			logger.error(`EventStoreClient - redis client error:${err}`);
-			throw err;
 		});
+		this._ready = new Promise(resolve => this._client.once('ready', resolve));
 
 		//promisified versions of Redis commands
-		this._saddAsync = util.promisify(this._client.sadd).bind(this._client);
-		this._xackAsync = util.promisify(this._client.xack).bind(this._client);
-		this._xclaimAsync = util.promisify(this._client.xclaim).bind(this._client);
-		this._xpendingAsync = util.promisify(this._client.xpending).bind(this._client);
-		this._xreadAsync = util.promisify(this._client.xread).bind(this._client);
-		this._xreadgroupAsync = util.promisify(this._client.xreadgroup).bind(this._client);
-		this._getAsync = util.promisify(this._client.get).bind(this._client);	
+		this._saddAsync = this._promisify('sadd');
+		this._xackAsync = this._promisify('xack');
+		this._xclaimAsync = this._promisify('xclaim');
+		this._xpendingAsync = this._promisify('xpending');
+		this._xreadAsync = this._promisify('xread');
+		this._xrangeAsync = this._promisify('xrange');
+		this._xrevrangeAsync = this._promisify('xrevrange');
+		this._hgetAsync = this._promisify('hget');
+		this._xaddAsync = this._promisify('xadd');
+		this._getAsync = this._promisify('get');
+		this._setAsync = this._promisify('set');
+		this._evalAsync = this._promisify('eval');
+		this._xlenAsync = this._promisify('xlen');
+		return this._ready;
 	}
 	
 	/**
-	 * Fetches all the events from a given stream, for a given id after the given timestamp
+	 * Moves an event to the dead-letter stream (<streamName>:dlq): the event is added there, with the failure reason,
+	 * and ack'ed on the original stream, as 1 transaction.
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} timestamp - Redis timestamp (id) of the event
+	 * @param {string} reason - failure reason.  Defaults to the last failure recorded with recordFailure
+	 * @param {int} deliveryCount - number of times the event was delivered
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {string} - stream id of the dead letter, null if the event no longer exists
+	 */
+	deadLetter(streamName, timestamp, reason, deliveryCount, groupName) {
+		logger.debug(`EventStoreClient.deadLetter - streamName:${streamName}, timestamp:${timestamp}, reason:${reason}`);
+		groupName = this._groupName(streamName, groupName);
+		return Promise.all([
+			this._xrangeAsync(streamName, timestamp, timestamp),
+			reason ? reason : this._hgetAsync(this._failuresKey(streamName, groupName), timestamp)
+		])
+		.then(results => {
+			const entries = results[0];
+			if (entries.length === 0 || !entries[0][1]) {  //event was deleted, just ack it
+				return this.ack(streamName, timestamp, groupName)
+				.then(_ => {
+					return null;
+				});
+			}
+			const fields = this._deadLetterFields(entries[0][1], timestamp, results[1], deliveryCount, groupName);
+			return this._exec(this._client.multi()
+				.xadd(this._deadLetterStream(streamName), '*', ...fields)
+				.xack(streamName, groupName, timestamp)
+				.hdel(this._failuresKey(streamName, groupName), timestamp))
+			.then(replies => {
+				logger.debug(`EventStoreClient.deadLetter - streamName:${streamName}, timestamp:${timestamp} - id:${replies[0]}`);
+				return replies[0];
+			});
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.deadLetter - streamName:${streamName}, timestamp:${timestamp} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Fetches all the events from a given stream, for a given id after the given timestamp.  With the 'aggregate'
+	 * layout only the aggregate's own stream is read, otherwise the whole stream is read and filtered by id.
 	 * @param {string} streamName - name of the Redis stream
 	 * @param {string} id - ID of the events to be returned from the stream
 	 * @param {string} timestamp - Redis timestamp.  Provides a 'snapshot' functionality such that only events
@@ -106,15 +212,19 @@ module.exports = class EventStoreClient {
 	 * @return {array} - array of events with the id after the timestamp
 	 */
 	get(streamName, id, timestamp) {
-		return this._xreadAsync('streams', streamName, timestamp)
+		let readStream = streamName;
+		if (this._layout === 'aggregate') {
+			readStream = this._aggregateStream(streamName, id);
+		}
+		
+		return this._xreadAsync('streams', readStream, timestamp)
 		.then(results => {
 			let eventList = [];
 			if (results) {
 				let events = results[0][1];
 				for (let i=0; i<events.length; i++) {
-					let obj = JSON.parse(events[i][1][1]);
+					let obj = this._parse(events[i]);
 					if (obj.id === id) {
-						obj.timestamp = events[i][0];
 						eventList.push(obj);
 					}
 				}
@@ -130,17 +240,38 @@ module.exports = class EventStoreClient {
 		});
 	}
 	
+	/**
+	 * Fetches the result recorded under an idempotency key by publishBatch
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} key - idempotency key
+	 * @return {Object} - recorded result, null if the key is unknown or its retention has expired
+	 */
+	getIdempotentResult(streamName, key) {
+		return this._getAsync(this._idempotencyKey(streamName, key))
+		.then(result => {
+			logger.debug(`EventStoreClient.getIdempotentResult - streamName:${streamName}, key:${key} - found:${result !== null}`);
+			return result ? JSON.parse(result) : null;
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.getIdempotentResult - streamName:${streamName}, key:${key} - ${err}`);
+			throw err;
+		});
+	}
+	
 	/**
 	 * Fetches events from the pending queue of a Redis stream.  If the event has set in queue for a time > maxElapsed,
-	 * that event is re-'claimed' by another subscriber for processing.
+	 * that event is re-'claimed' by another subscriber for processing.  An event that has already been delivered
+	 * maxDeliveries times is moved to the dead-letter stream instead.
 	 * @param {string} streamName - name of the Redis stream
 	 * @param {string} consumerName - name of the subscriber which would re-claim the event for processing
 	 * @param {int} maxElapsed - time (in ms) beyond which a queued event would be re-claimed
-	 * @return {array} - array of pending events that were in queue for a time > maxElapsed
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {array} - array of pending events that were in queue for a time > maxElapsed, each with the number of times
+	 * it has been delivered as deliveryCount
 	 */
-	getPending(streamName, consumerName, maxElapsed) {
+	getPending(streamName, consumerName, maxElapsed, groupName) {
 		logger.debug(`EventStoreClient.getPending - streamName:${streamName}, consumerName:${consumerName}, maxElapsed:${maxElapsed}`);
-		let groupName = streamName + 'Group';
+		groupName = this._groupName(streamName, groupName);
 		return this._xpendingAsync(streamName, groupName, '-', '+', '-1')  //get the entire list of pending events
 		.then((results) => {
 			let promises = [];
@@ -148,20 +279,34 @@ module.exports = class EventStoreClient {
 				let timestamp = result[0];
 				let elapsed = result[2];
 				if (elapsed >= maxElapsed) {	
-					promises.push(this._xclaimAsync(streamName, groupName, consumerName, maxElapsed, timestamp));
+					promises.push(this._xclaimAsync(streamName, groupName, consumerName, maxElapsed, timestamp)
+					.then(claimed => {
+						return {'entry': claimed[0], 'deliveryCount': result[3] + 1};  //a claim counts as a delivery
+					}));
 				}
 			});
 			return Promise.all(promises);
 		})
 		.then((results) => {
 			let eventList = [];
+			let deadLetters = [];
 			results.forEach((result) => {  //parse out the event object and timestamp of the event
-				let obj = JSON.parse(result[0][1][1]);
-				obj.timestamp = result[0][0];
-				eventList.push(obj);
+				if (result.entry && result.entry[1]) {  //entry was claimed by another consumer meanwhile, or deleted
+					let event = this._parse(result.entry);
+					event.deliveryCount = result.deliveryCount;
+					if (event.deliveryCount > this._maxDeliveries) {  //poison event
+						deadLetters.push(this.deadLetter(streamName, event.timestamp, undefined, event.deliveryCount - 1, groupName));
+					}
+					else {
+						eventList.push(event);
+					}
+				}
+			});
+			logger.debug(`EventStoreClient.getPending - eventList.length:${eventList.length}, deadLetters.length:${deadLetters.length}`);
+			return Promise.all(deadLetters)
+			.then(_ => {
+				return eventList;
 			});
-			logger.debug(`EventStoreClient.getPending - eventList.length:${eventList.length}`);
-			return eventList;
 		})
 		.catch(err => {
 			if (err.code === 'NOGROUP') {
@@ -175,115 +320,431 @@ module.exports = class EventStoreClient {
 	}
 	
 	/**
-	 * Publishes an event to a Redis stream object.  Implements optimistic concurrency control by utilizing a Redis key
-	 * per id (unique account id).  The add to the Redis stream is wrapped in a Watch on Redis key with the same value
-	 * as the id.  The Redis key contains a value representing the current 'version' of the id.  The version is incremented and
-	 * the event added to a Redis stream as 1 transaction (atomic) within the Watch command.  If two or more processes
-	 * attempt to add an event simultaneously, only 1 will succeed.  
+	 * Fetches the latest snapshot of an aggregate
+	 * @param {string} streamName - name of the Redis stream holding the aggregate's events
+	 * @param {string} id - ID of the aggregate
+	 * @return {Object} - snapshot object, null if none has been saved
+	 */
+	getSnapshot(streamName, id) {
+		return this._getAsync(this._snapshotKey(streamName, id))
+		.then(result => {
+			logger.debug(`EventStoreClient.getSnapshot - streamName:${streamName}, id:${id} - found:${result !== null}`);
+			return result ? JSON.parse(result) : null;
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.getSnapshot - streamName:${streamName}, id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Fetches the number of events in a Redis stream
 	 * @param {string} streamName - name of the Redis stream
-	 * @param {Object} event - object containing the event to be published.  JSON-stringified prior adding to Redis stream.
-	 * @return {array} - 2 values in an array, if successful. Null, if not.  Value 1 = new version number, Value 2 = timestamp
-	 * of the event as published to the Redis stream
+	 * @return {int} - number of events, 0 if the stream doesn't exist
 	 */
-	publish(streamName, event) {	
-		logger.debug(`EventStoreClient.publish`);
-		this._client.watch(event.id); //watch the id (account)
-		return this._getAsync(event.id)  //fetch the current version from a Redis key with that ID 
-		.then(result => {	
-			if (!result || parseInt(result) === parseInt(event.version)) {  //key doesn't exist or versions match
-				event.version += 1;  //increment version number prior to publishing the event
-				logger.debug(`EventStoreClient.publish - streamName:${streamName}, event:${JSON.stringify(event)}\
-				 - result:${result}`);
-				return new Promise((resolve, reject) => {
-					this._client.multi()  //atomic transaction that increments the version and adds event to stream
-					.incr(event.id)
-					.xadd(streamName, '*', 'event', JSON.stringify(event))
-					.exec((err, replies) => {
-						if (err) {
-							reject(err);
-						}
-						else {
-							resolve(replies);
+	length(streamName) {
+		logger.debug(`EventStoreClient.length - streamName:${streamName}`);
+		return this._xlenAsync(streamName)
+		.catch(err => {
+			logger.error(`EventStoreClient.length - streamName:${streamName} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Copies the events of a 'single' layout stream into per-aggregate streams so that an existing store can be
+	 * switched to the 'aggregate' layout.  Events keep their original stream ids, so timestamps held by aggregates
+	 * remain valid.  Events that were already copied are skipped, which makes the migration safe to re-run.
+	 * Should be run before any event is published with the 'aggregate' layout.
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {int} batchSize - number of events read per XRANGE call
+	 * @return {int} - number of events copied
+	 */
+	migrate(streamName, batchSize = 100) {
+		logger.debug(`EventStoreClient.migrate - streamName:${streamName}, batchSize:${batchSize}`);
+		let copied = 0;
+		
+		const copyBatch = (start) => {
+			return this._xrangeAsync(streamName, start, '+', 'COUNT', batchSize)
+			.then(events => {
+				let promises = [];
+				events.forEach((event) => {
+					let obj = this._parse(event);
+					promises.push(this._xaddAsync(this._aggregateStream(streamName, obj.id), event[0], ...event[1])
+					.then(_ => {
+						copied += 1;
+					})
+					.catch(err => {
+						if (!/equal or smaller/.test(err.message)) {  //already copied by a previous run
+							throw err;
 						}
-					});
+					}));
 				});
-			}
-			else {  //covers the scenario where a concurrent access causes a mismatch with event version numbers
-					//return null and then it's up to the client to make another publish attempt
-				return new Promise((resolve, reject) => {
-					resolve(null);
+				return Promise.all(promises)
+				.then(_ => {
+					if (events.length === batchSize) {
+						return copyBatch(this._nextId(events[events.length - 1][0]));
+					}
 				});
+			});
+		};
+		
+		return copyBatch('-')
+		.then(_ => {
+			logger.debug(`EventStoreClient.migrate - streamName:${streamName} - copied:${copied}`);
+			return copied;
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.migrate - streamName:${streamName} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Publishes a list of events for one aggregate, atomically: either all events are added or none.  Implements
+	 * optimistic concurrency control by utilizing a Redis key per id (unique account id).  The Redis key contains a value
+	 * representing the current 'version' of the id.  A Lua script checks the expected version, increments it by the
+	 * number of events and adds the events to the Redis stream as 1 atomic server-side call, so concurrent publishes
+	 * (on the same or on different ids) never interfere with each other.  If two or more processes attempt to add events
+	 * for the same id simultaneously, only 1 will succeed.  With the 'aggregate' layout the events are added to the
+	 * aggregate's own stream and to the category stream (streamName) within the same call.
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} aggregateId - ID of the aggregate the events belong to
+	 * @param {int} expectedVersion - current version of the aggregate as known by the caller
+	 * @param {array} events - list of event objects.  Each is stamped with the id, its new version and, if not set,
+	 * the current schema version of its type, JSON-stringified prior adding to Redis stream.
+	 * @param {Object} options - metadata: {correlationId, causationId, actor} stored, together with a generated eventId and
+	 * occurredAt time, as separate stream fields next to the event payload.  correlationId defaults to the eventId of the
+	 * first event.  idempotency: {key, result, retention} records result under key for retention ms, atomically with the
+	 * events.  If the key was already recorded nothing is published.
+	 * @return {Object} - {status: 'ok', version, timestamps} if successful, where version = new version number and
+	 * timestamps = stream ids of the published events.  {status: 'conflict', currentVersion} if the expected version did
+	 * not match, then it's up to the client to make another publish attempt.  {status: 'duplicate', result} if the
+	 * idempotency key was already recorded, with the result recorded at that time.
+	 */
+	publishBatch(streamName, aggregateId, expectedVersion, events, options = {}) {
+		logger.debug(`EventStoreClient.publishBatch - streamName:${streamName}, aggregateId:${aggregateId},\
+		 expectedVersion:${expectedVersion}, events.length:${events.length}`);
+		if (events.length === 0) {
+			return Promise.reject(new Error('Attempting to publish an empty list of events'));
+		}
+		const idempotencyError = this._idempotencyError(options.idempotency);
+		if (idempotencyError) {
+			return Promise.reject(idempotencyError);
+		}
+		
+		const idempotency = options.idempotency || {};
+		let keys = [aggregateId, idempotency.key ? this._idempotencyKey(streamName, idempotency.key) : ''];
+		if (this._layout === 'aggregate') {
+			keys.push(this._aggregateStream(streamName, aggregateId));
+		}
+		keys.push(streamName);
+		const args = this._eventFields(aggregateId, expectedVersion, events, options.metadata).map(fields => JSON.stringify(fields));
+		
+		return this._evalAsync(PUBLISH_SCRIPT, keys.length, ...keys, expectedVersion, idempotency.retention || 0,
+			JSON.stringify(idempotency.result || null), ...args)
+		.then(result => {
+			logger.debug(`EventStoreClient.publishBatch - streamName:${streamName}, aggregateId:${aggregateId} - result:${result}`);
+			if (result[0] === 'conflict') {
+				return {'status': 'conflict', 'currentVersion': parseInt(result[1])};
+			}
+			else if (result[0] === 'duplicate') {
+				return {'status': 'duplicate', 'result': JSON.parse(result[1])};
+			}
+			else {
+				return {'status': 'ok', 'version': result[1], 'timestamps': result.slice(2)};
+			}
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.publishBatch - streamName:${streamName}, aggregateId:${aggregateId} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Reads a page of events, in stream order (XRANGE) or reverse order (XREVRANGE), between two stream ids.  With the
+	 * 'aggregate' layout, or when no id is given, the range is read directly.  Otherwise the stream is scanned in chunks
+	 * of at least SCAN_COUNT entries and filtered by id until a page is filled.
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} id - ID of the aggregate whose events are read, null for all events of the stream
+	 * @param {Object} options - start: first stream id (inclusive, default '-'), end: last stream id (inclusive, default '+'),
+	 * 							count: page size (default 100), reverse: true to read from end to start
+	 * @return {Object} - {events, next}, where next is the stream id to continue reading from (start, or end if reverse),
+	 * null if the range is exhausted
+	 */
+	range(streamName, id, options = {}) {
+		const count = options.count || 100;
+		const reverse = options.reverse === true;
+		const filter = (id !== null && id !== undefined && this._layout !== 'aggregate');
+		let readStream = streamName;
+		if (id !== null && id !== undefined && this._layout === 'aggregate') {
+			readStream = this._aggregateStream(streamName, id);
+		}
+		logger.debug(`EventStoreClient.range - streamName:${readStream}, id:${id}, options:${JSON.stringify(options)}`);
+		const scanCount = filter ? Math.max(count, SCAN_COUNT) : count;  //the aggregate's events may be sparse in the stream
+		let eventList = [];
+		
+		const readChunk = (start, end) => {
+			const read = reverse ? this._xrevrangeAsync(readStream, end, start, 'COUNT', scanCount) :
+				this._xrangeAsync(readStream, start, end, 'COUNT', scanCount);
+			return read
+			.then(entries => {
+				for (let entry of entries) {
+					const event = this._parse(entry);
+					if (!filter || event.id === id) {
+						eventList.push(event);
+						if (eventList.length === count) {
+							return reverse ? this._previousId(entry[0]) : this._nextId(entry[0]);
+						}
+					}
+				}
+				if (entries.length < scanCount) {  //end of range
+					return null;
+				}
+				const last = entries[entries.length - 1][0];
+				return reverse ? readChunk(start, this._previousId(last)) : readChunk(this._nextId(last), end);
+			});
+		};
+		
+		return readChunk(options.start || '-', options.end || '+')
+		.then(next => {
+			logger.debug(`EventStoreClient.range - streamName:${readStream}, id:${id} - eventList.length:${eventList.length}, next:${next}`);
+			return {'events': eventList, 'next': next};
+		})
+		.catch(err => {
+			logger.error(`EventStoreClient.range - streamName:${readStream}, id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Records why the handling of events failed.  The reason is carried over to the dead-letter stream if the events
+	 * are eventually dead-lettered, and cleared when they are ack'ed.
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {array} timestamps - Redis timestamps (ids) of the events
+	 * @param {string} reason - failure reason
+	 * @param {string} groupName - name of the consumer group, defaults to streamName + 'Group'
+	 * @return {promise}
+	 */
+	recordFailure(streamName, timestamps, reason, groupName) {
+		logger.debug(`EventStoreClient.recordFailure - streamName:${streamName}, timestamps:${timestamps}, reason:${reason}`);
+		groupName = this._groupName(streamName, groupName);
+		let multi = this._client.multi();
+		timestamps.forEach((timestamp) => {
+			multi.hset(this._failuresKey(streamName, groupName), timestamp, reason);
+		});
+		return this._exec(multi)
+		.catch(err => {
+			logger.error(`EventStoreClient.recordFailure - streamName:${streamName} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Re-publishes a dead-lettered event to its original stream, as a new entry, and removes it from the dead-letter
+	 * stream, as 1 transaction.  Subscribers of every consumer group will receive it again, so their handlers must be
+	 * idempotent.
+	 * @param {string} streamName - name of the Redis stream the event was dead-lettered from
+	 * @param {string} id - stream id of the dead letter
+	 * @return {string} - stream id of the re-published event, null if the dead letter wasn't found
+	 */
+	replayDeadLetter(streamName, id) {
+		logger.debug(`EventStoreClient.replayDeadLetter - streamName:${streamName}, id:${id}`);
+		const deadLetterStream = this._deadLetterStream(streamName);
+		return this._xrangeAsync(deadLetterStream, id, id)
+		.then(entries => {
+			if (entries.length === 0) {
+				return null;
 			}
+			const fields = this._replayFields(entries[0][1]);
+			return this._exec(this._client.multi()
+				.xadd(streamName, '*', ...fields)
+				.xdel(deadLetterStream, id))
+			.then(replies => {
+				logger.debug(`EventStoreClient.replayDeadLetter - streamName:${streamName}, id:${id} - timestamp:${replies[0]}`);
+				return replies[0];
+			});
 		})
 		.catch(err => {
-			logger.error(`EventStoreClient.publish - streamName:${streamName}, event:${event} - ${err}`);
+			logger.error(`EventStoreClient.replayDeadLetter - streamName:${streamName}, id:${id} - ${err}`);
+			throw err;
+		});
+	}
+	
+	/**
+	 * Persists a snapshot of an aggregate, replacing any previous one.  The snapshot carries the version and timestamp
+	 * (stream id) of the last event applied, so a load only needs to replay the events published after it.
+	 * @param {string} streamName - name of the Redis stream holding the aggregate's events
+	 * @param {Object} snapshot - serialized aggregate state.  Must contain the aggregate id.
+	 * @return {string} - 'OK' if successful
+	 */
+	saveSnapshot(streamName, snapshot) {
+		logger.debug(`EventStoreClient.saveSnapshot - streamName:${streamName}, id:${snapshot.id}, version:${snapshot.version}`);
+		return this._setAsync(this._snapshotKey(streamName, snapshot.id), JSON.stringify(snapshot))
+		.catch(err => {
+			logger.error(`EventStoreClient.saveSnapshot - streamName:${streamName}, id:${snapshot.id} - ${err}`);
 			throw err;
 		});
 	}
 	
 	/**
-	 * Creates a subscription-type model for Redis streams.  Stream is read periodically via a redis readgroup and
-	 * javascript interval.  Event emitter is then used to transmit the events to subscriber.
+	 * Creates a subscription to a Redis stream.  Stream is read via blocking redis readgroups on a dedicated connection.
+	 * The subscription is returned un-started, so listeners can be attached before calling start().
 	 * @param {string} streamName - name of the Redis stream
 	 * @param {string} consumerName - name of Redis stream consumer
-	 * @return {array} - 2 values in an array, if successful. Null, if not.  Value 1 = new version number, Value 2 = timestamp
-	 * of the event as published to the Redis stream
+	 * @param {Object} options - ackMode: 'manual' (default) or 'auto', see EventStoreSubscription,
+	 * 							groupName: name of the consumer group, defaults to streamName + 'Group'.  Each group
+	 * 							receives every event of the stream, so independent subscribers need their own group,
+	 * 							startId: where a new group starts reading - '0' (default) all events, '$' only new
+	 * 							events, or a stream id.  Ignored if the group already exists.
+	 * @return {EventStoreSubscription} - subscription emitting 'event', 'error' and 'idle' events
 	 */
-	subscribe(streamName, consumerName) {	
-		let emitter;
-		let groupName = streamName + 'Group';
+	subscribe(streamName, consumerName, options = {}) {	
+		const groupName = this._groupName(streamName, options.groupName);
+		const startId = this._groupStartId(options.startId);
 		logger.debug(`EventStoreClient.subscribe - streamName:${streamName}, groupName:${groupName}, consumerName:${consumerName}`);
 		
-		if (this._emitters[streamName] && this._emitters[streamName][groupName]) {
-			emitter = this._emitters[streamName][groupName];
-		}
-		else {
-			this._client.xgroup('CREATE', streamName, groupName, '0', (err) => {});  //attempt to create Redis group
-			emitter = new events.EventEmitter();
-			let obj = setInterval(() => {
-				this._readGroup(streamName, groupName, consumerName)
-				.then(eventList => {
-					if (eventList.length > 0) {
-						emitter.emit('event', eventList);
-					}
-				})
+		//a blocked connection can't be shared with other commands
+		const connection = this._client.duplicate({'enable_offline_queue' : false});
+		connection.on('error', (err) => {
+			logger.error(`EventStoreClient.subscribe - redis subscription client error:${err}`);
+		});
+		const connected = new Promise(resolve => connection.once('ready', resolve));
+		const xreadgroupAsync = this._promisify('xreadgroup', connection);
+		const xgroupAsync = this._promisify('xgroup');
+		
+		const subscription = new EventStoreSubscription({
+			'init': () => {
+				return Promise.all([this._ready, connected])  //both connections are used from the first read on
+				.then(_ => xgroupAsync('CREATE', streamName, groupName, startId, 'MKSTREAM'))  //attempt to create Redis group
 				.catch(err => {
-					logger.error(`EventStoreClient.subscribe - streamName:${streamName}, groupName:${groupName},\
-					consumerName:${consumerName} - ${err}`);
-					throw err;					
+					if (!/BUSYGROUP/.test(err.message)) {
+						throw err;
+					}
 				});
-			}, this._readInterval);
-			if (!this._emitters[streamName]) {
-				this._emitters[streamName] = {};
-			}
-			this._emitters[streamName][groupName] = emitter;
-			this._intervals.push(obj);	
-		}
-		
-		return emitter;
+			},
+			'read': (id) => this._readGroup(streamName, groupName, consumerName, xreadgroupAsync, id),
+			'ack': (timestamps) => this.ack(streamName, timestamps, groupName),
+			'fail': (timestamps, reason) => this.recordFailure(streamName, timestamps, reason, groupName),
+			'close': () => connection.end(true)  //don't wait for a blocked read to time out
+		}, options);
+		this._subscriptions.push(subscription);	
+		return subscription;
 	}
 	
 	/**
-	 * Private function to read new events from a Redis stream
+	 * Private function that returns the name of the stream holding the events of a single aggregate.  Like the snapshot
+	 * and idempotency keys, it has a prefix of its own, so no id can collide with the keys named after the stream
+	 * (<streamName>:dlq, <streamName>:<groupName>:failures).
+	 * @private
+	 * @param {string} streamName - name of the category stream
+	 * @param {string} id - ID of the aggregate
+	 * @return {string} name of the aggregate stream
+	 */
+	_aggregateStream(streamName, id) {
+		return `aggregate:${streamName}:${id}`;
+	}
+	
+	/**
+	 * Private function that executes a Redis transaction
+	 * @private
+	 * @param {Object} multi - redis multi object
+	 * @return {array} replies of the commands of the transaction
+	 */
+	_exec(multi) {
+		return new Promise((resolve, reject) => {
+			multi.exec((err, replies) => {
+				if (err) {
+					reject(this._storeError(err));
+				}
+				else {
+					resolve(replies);
+				}
+			});
+		});
+	}
+	
+	/**
+	 * Private function that returns the Redis key of the hash recording the failure reasons of pending events
+	 * @private
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} groupName - name of the consumer group
+	 * @return {string} Redis key
+	 */
+	_failuresKey(streamName, groupName) {
+		return `${streamName}:${groupName}:failures`;
+	}
+	
+	/**
+	 * Private function that returns the Redis key recording the result of an idempotent publish
+	 * @private
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} key - idempotency key
+	 * @return {string} Redis key
+	 */
+	_idempotencyKey(streamName, key) {
+		return `idempotency:${streamName}:${key}`;
+	}
+	
+	/**
+	 * Private function that returns a promisified Redis command, failing with UnavailableError if Redis can't be reached
+	 * @private
+	 * @param {string} command - name of the Redis command
+	 * @param {Object} connection - redis client the command is sent on, defaults to the client of connect
+	 * @return {function} function returning a promise of the command reply
+	 */
+	_promisify(command, connection = this._client) {
+		const commandAsync = util.promisify(connection[command]).bind(connection);
+		return (...args) => {
+			return commandAsync(...args)
+			.catch(err => {
+				throw this._storeError(err);
+			});
+		};
+	}
+	
+	/**
+	 * Private function to read events from a Redis stream.  Reading new events ('>') blocks for up to blockTimeout ms
+	 * if there are none.  Reading from an id re-delivers the consumer's pending events after that id.
 	 * @private
 	 * @param {string} streamName - name of redis stream
 	 * @param {string} groupName - name of redis stream group
 	 * @param {string} consumerName - name of redis stream consumer
-	 * @return {array} array event objects
+	 * @param {function} xreadgroupAsync - promisified XREADGROUP of the subscription's connection
+	 * @param {string} id - '>' for new events, otherwise the stream id after which pending events are read
+	 * @return {array} array event objects, each with the number of times it has been delivered as deliveryCount
 	 */
-	_readGroup(streamName, groupName, consumerName) {
-		logger.debug(`EventStoreClient._readGroup - streamName:${streamName}, groupName:${groupName}, consumerName:${consumerName}`);
-		return this._xreadgroupAsync('GROUP', groupName, consumerName, 'STREAMS', streamName, '>')
+	_readGroup(streamName, groupName, consumerName, xreadgroupAsync, id = '>') {
+		logger.debug(`EventStoreClient._readGroup - streamName:${streamName}, groupName:${groupName}, consumerName:${consumerName}, id:${id}`);
+		let eventList = [];
+		const block = id === '>' ? ['BLOCK', this._blockTimeout] : [];
+		return xreadgroupAsync('GROUP', groupName, consumerName, 'COUNT', this._batchSize, ...block, 'STREAMS', streamName, id)
 		.then(results => {
-			let eventList = [];
 			if (results) {
 				let events = results[0][1];
 				for (let i=0; i<events.length; i++) {
-					let obj = JSON.parse(events[i][1][1]);
-					obj.timestamp = events[i][0];
-					eventList.push(obj);
+					if (events[i][1]) {  //entries deleted from the stream are returned without fields
+						eventList.push(this._parse(events[i]));
+					}
 				}
 			}
+			if (id === '>' || eventList.length === 0) {
+				eventList.forEach((event) => {
+					event.deliveryCount = 1;
+				});
+				return [];
+			}
+			//re-delivered events: fetch their delivery counts
+			return this._xpendingAsync(streamName, groupName, eventList[0].timestamp, eventList[eventList.length - 1].timestamp,
+				eventList.length, consumerName);
+		})
+		.then(pending => {
+			pending.forEach((entry) => {
+				const event = eventList.find(candidate => candidate.timestamp === entry[0]);
+				if (event) {
+					event.deliveryCount = entry[3];
+				}
+			});
 			logger.debug(`EventStoreClient._readGroup - eventList.length:${eventList.length}`);
 			return eventList;
 		})
@@ -292,4 +753,28 @@ module.exports = class EventStoreClient {
 			throw err;
 		});
 	}
+	
+	/**
+	 * Private function that returns the Redis key holding the snapshot of an aggregate
+	 * @private
+	 * @param {string} streamName - name of the Redis stream
+	 * @param {string} id - ID of the aggregate
+	 * @return {string} snapshot key
+	 */
+	_snapshotKey(streamName, id) {
+		return `snapshot:${streamName}:${id}`;
+	}
+	
+	/**
+	 * Private function that converts the errors raised when Redis can't be reached into an UnavailableError
+	 * @private
+	 * @param {Error} err - Redis client error
+	 * @return {Error} UnavailableError, or err for any other error
+	 */
+	_storeError(err) {
+		if (CONNECTION_ERRORS.indexOf(err.code) === -1) {
+			return err;
+		}
+		return new errors.UnavailableError('Event store unavailable', 'EVENT_STORE_UNAVAILABLE', err);
+	}
 };
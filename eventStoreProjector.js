@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Runs a projection of an event store stream into a read model
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const os = require('os');
+const EventStore = require('./eventStore');
+const logger = require('./eventStoreLogger');
+const PENDING_INTERVAL = 30000;  //30 seconds, default interval on checking the pending queue of events
+
+/** @desc Projector running a projection: it subscribes to the projection's stream, folds the events into the state of
+ * each aggregate with the projection's handlers, writes the states to the read model through an adapter, then acks the
+ * events and records the position reached as the projection checkpoint.  Events left pending by a failure are picked
+ * up again periodically.
+ *
+ * A projection is declared as an object:
+ * 		name - name of the projection, used for the consumer group and the checkpoint
+ * 		stream - name of the stream projected
+ * 		handlers - object mapping event types to functions (state, event) returning the new state of the aggregate.
+ * 				   Events of other types leave the state unchanged.
+ * 		init - optional function (id) returning the state of an aggregate before its first event, {} by default
+ *
+ * An adapter stores the state and the version of the last applied event of each aggregate.  It provides:
+ * 		load(ids) - returns a Map of {version, state} by aggregate id, aggregates never saved are left out
+ * 		save(updates) - writes an array of {id, from, version, state}.  An update only applies if the stored version is
+ * 						still 'from' (0 for an aggregate never saved); updates that don't apply are ignored.
+ * 		saveCheckpoint(name, position) - records the stream id reached by a projection, unless it's behind the recorded one
+ *
+ * The events of an aggregate are applied one at a time in version order, from the stored version up to the first
+ * missing version, so handlers don't need to be commutative.  Events already applied are skipped, so events can be
+ * replayed safely.  Events waiting for a predecessor, or whose update lost a race with another projector, aren't
+ * acked and are handled again later.
+ */
+module.exports = class EventStoreProjector {
+
+	/**
+	 * @param {EventStore} client - connected event store
+	 * @param {Object} projection - projection declaration, see above
+	 * @param {Object} adapter - read model adapter, see above
+	 * @param {Object} options - groupName: consumer group, defaults to the projection name + 'Group',
+	 * 							consumerName: defaults to the projection name, host name and process id,
+	 * 							startId: where a new group starts reading, see EventStoreClient.subscribe,
+	 * 							pendingInterval: interval (in ms) on checking the pending queue, 30 seconds by default
+	 */
+	constructor(client, projection, adapter, options = {}) {
+		logger.debug(`EventStoreProjector constructor - name:${projection.name}, stream:${projection.stream}`);
+		this._client = client;
+		this._projection = projection;
+		this._adapter = adapter;
+		this._groupName = options.groupName || projection.name + 'Group';
+		this._consumerName = options.consumerName || projection.name + ':' + os.hostname() + '_' + process.pid;
+		this._startId = options.startId;
+		this._pendingInterval = options.pendingInterval || PENDING_INTERVAL;
+	}
+
+	/**
+	 * Applies a batch of events to the read model, without acking them
+	 * @param {array} eventList - array of event objects
+	 * @return {array} - array of the event objects that are applied, whether by this call or an earlier one
+	 */
+	apply(eventList) {
+		logger.debug(`EventStoreProjector.apply - name:${this._projection.name}, eventList.length:${eventList.length}`);
+		const aggregates = this._partition(eventList);
+		const ids = aggregates.map(aggregateEvents => aggregateEvents[0].id);
+
+		return this._adapter.load(ids)
+		.then(current => {
+			let updates = [];
+			for (let aggregateEvents of aggregates) {
+				const update = this._fold(aggregateEvents, current.get(aggregateEvents[0].id));
+				if (update) {
+					updates.push(update);
+				}
+			}
+			if (updates.length === 0) {
+				return current;
+			}
+			return this._adapter.save(updates)
+			.then(_ => this._adapter.load(ids));  //the stored versions tell which updates applied
+		})
+		.then(stored => {
+			return eventList.filter(event => {
+				const entry = stored.get(event.id);
+				return entry !== undefined && event.version <= entry.version;
+			});
+		});
+	}
+
+	/**
+	 * Starts the projection: subscribes to its stream and sets up a timer to check the pending queue
+	 * @return void
+	 */
+	start() {
+		logger.debug(`EventStoreProjector.start - name:${this._projection.name}`);
+		this._subscription = this._client.subscribe(this._projection.stream, this._consumerName,
+			{'ackMode' : 'manual', 'groupName' : this._groupName, 'startId' : this._startId});
+		this._subscription.on('event', (eventList) => this._eventHandler(eventList));
+		this._subscription.on('error', (err) => {  //events of a failed batch stay pending and are picked up by _processPending
+			logger.error(`EventStoreProjector, subscription - name:${this._projection.name} - ${err}`);
+		});
+		this._subscription.start();
+		this._interval = setInterval(() => this._processPending(), this._pendingInterval);
+	}
+
+	/**
+	 * Stops the projection.  The connections of the client and the adapter are left to their owner.
+	 * @return void
+	 */
+	stop() {
+		logger.debug(`EventStoreProjector.stop - name:${this._projection.name}`);
+		clearInterval(this._interval);
+		if (this._subscription) {
+			this._subscription.stop();
+		}
+	}
+
+	/**
+	 * Private function called from the subscription event emitter.  The batch is applied to the read model, then the
+	 * events applied are acked and the position of the last one is recorded as the projection checkpoint.
+	 * @private
+	 * @param {array} eventList - array of event objects
+	 * @return {promise} - settles once the batch is handled, the subscription then reads the next batch
+	 */
+	_eventHandler(eventList) {
+		logger.debug(`EventStoreProjector._eventHandler - name:${this._projection.name}, events received:${eventList.length}`);
+		return this.apply(eventList)
+		.then(applied => {
+			logger.debug(`EventStoreProjector._eventHandler - name:${this._projection.name}, events handled:${applied.length}`);
+			if (applied.length === 0) {
+				return;
+			}
+			const timestamps = applied.map(event => event.timestamp).sort(EventStore.compareIds);
+			return this._client.ack(this._projection.stream, timestamps, this._groupName)
+			.then(_ => this._adapter.saveCheckpoint(this._projection.name, timestamps[timestamps.length - 1]));
+		})
+		.catch(err => {
+			logger.error(`EventStoreProjector._eventHandler - name:${this._projection.name} - ${err}`);
+			throw err;
+		});
+	}
+
+	/**
+	 * Private function folding the events of an aggregate into its state
+	 * @private
+	 * @param {array} aggregateEvents - events of an aggregate, in version order
+	 * @param {Object} stored - {version, state} of the aggregate in the read model, undefined if never saved
+	 * @return {Object} - update {id, from, version, state}, null if no event applies
+	 */
+	_fold(aggregateEvents, stored) {
+		const id = aggregateEvents[0].id;
+		const from = stored ? stored.version : 0;
+		let version = from;
+		let state = stored ? stored.state : (this._projection.init ? this._projection.init(id) : {});
+		for (let event of aggregateEvents) {
+			if (event.version === version + 1) {
+				const handler = this._projection.handlers[event.type];
+				if (handler) {
+					state = handler(state, event);
+				}
+				version = event.version;
+			}
+			else if (event.version > version + 1) {  //missing predecessor, the following events have to wait too
+				break;
+			}
+		}
+		return version > from ? {'id' : id, 'from' : from, 'version' : version, 'state' : state} : null;
+	}
+
+	/**
+	 * Private function partitioning a batch of events by aggregate.  Pending events are re-delivered out of stream
+	 * order, so the events of each aggregate are sorted by version.
+	 * @private
+	 * @param {array} eventList - array of event objects
+	 * @return {array} - array of arrays of event objects, one per aggregate, in version order
+	 */
+	_partition(eventList) {
+		let aggregates = new Map();
+		for (let event of eventList) {
+			if (!aggregates.has(event.id)) {
+				aggregates.set(event.id, []);
+			}
+			aggregates.get(event.id).push(event);
+		}
+		return Array.from(aggregates.values()).map(aggregateEvents => aggregateEvents.sort((a, b) => a.version - b.version));
+	}
+
+	/**
+	 * Private function for fetching the events that have been in the pending queue for longer than the pending interval
+	 * @private
+	 * @return {promise}
+	 */
+	_processPending() {
+		logger.debug(`EventStoreProjector._processPending - name:${this._projection.name}`);
+		return this._client.getPending(this._projection.stream, this._consumerName, this._pendingInterval, this._groupName)
+		.then(eventList => {
+			if (eventList.length > 0) {
+				return this._eventHandler(eventList);
+			}
+		})
+		.catch(err => {
+			logger.error(`EventStoreProjector._processPending - name:${this._projection.name} - ${err}`);
+		});
+	}
+};
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Subscription to an event store stream
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const events = require('events');
+const logger = require('./eventStoreLogger');
+const RETRY_INTERVAL = 1000;  //1 second, delay before a failed init or read is retried
+
+/** @desc Subscription to a stream of an event store.  Reads batches of events back-to-back and emits:
+ * 		'event' (eventList, subscription) - a batch of events.  The next batch is only read once the promises returned
+ * 											by the listeners have settled, which provides backpressure.
+ * 		'error' (err, eventList) - a read failed (eventList undefined) or a listener rejected
+ * 		'idle' - a read returned no new events
+ * Each event carries a deliveryCount: the number of times it has been delivered to a consumer, including this one.
+ * With ackMode 'auto' a batch is ack'ed once all listeners have resolved; with 'manual' (default) acking is left to
+ * the listeners, through ack() or the event store client.
+ */
+module.exports = class EventStoreSubscription extends events.EventEmitter {
+
+	/**
+	 * @param {Object} source - functions provided by the event store for this subscription:
+	 * 							init() - prepares the subscription (e.g. creates the consumer group),
+	 * 							read(id) - reads events after id, '>' for new events, returns array of event objects,
+	 * 							ack(timestamps) - acks an array of event timestamps,
+	 * 							fail(timestamps, reason) - records why the handling of events failed,
+	 * 							close() - releases the resources of the subscription
+	 * @param {Object} options - ackMode: 'manual' or 'auto'
+	 */
+	constructor(source, options = {}) {
+		super();
+		this._source = source;
+		this._ackMode = options.ackMode || 'manual';
+		if (this._ackMode !== 'manual' && this._ackMode !== 'auto') {
+			throw new Error(`Unknown ack mode: ${this._ackMode}`);
+		}
+		this._state = 'created';  //created, running, paused, stopped
+		this._reading = false;
+		this._held = null;  //batch read while pausing, delivered on resume
+	}
+
+	/**
+	 * Acks events, for subscriptions in manual ack mode
+	 * @param {array} eventList - event objects to be ack'ed
+	 * @return {promise}
+	 */
+	ack(eventList) {
+		return this._source.ack(eventList.map(event => event.timestamp));
+	}
+
+	/**
+	 * Stops delivering events.  A read already in progress completes, its batch is held until resume.
+	 * @return void
+	 */
+	pause() {
+		logger.debug(`EventStoreSubscription.pause`);
+		if (this._state === 'running') {
+			this._state = 'paused';
+		}
+	}
+
+	/**
+	 * Resumes delivering events after a pause
+	 * @return void
+	 */
+	resume() {
+		logger.debug(`EventStoreSubscription.resume`);
+		if (this._state === 'paused') {
+			this._state = 'running';
+			this._loop();
+		}
+	}
+
+	/**
+	 * Starts the subscription.  Events delivered to this consumer earlier but never ack'ed are delivered first.
+	 * @return void
+	 */
+	start() {
+		logger.debug(`EventStoreSubscription.start`);
+		if (this._state !== 'created') {
+			return;
+		}
+		this._state = 'running';
+		this._cursor = '0';  //position in this consumer's pending events, null once they've all been re-delivered
+		this._init();
+	}
+
+	/**
+	 * Stops the subscription and releases its resources.  A stopped subscription can't be restarted.
+	 * @return void
+	 */
+	stop() {
+		logger.debug(`EventStoreSubscription.stop`);
+		this._state = 'stopped';
+		clearTimeout(this._timeout);
+		this._source.close();
+	}
+
+	/**
+	 * Private function delivering a batch of events to the listeners, then acking it in auto ack mode
+	 * @private
+	 * @param {array} eventList - array of event objects
+	 * @return {promise}
+	 */
+	_deliver(eventList) {
+		return Promise.all(this.listeners('event').map(listener => listener(eventList, this)))
+		.then(_ => {
+			if (this._ackMode === 'auto') {
+				return this.ack(eventList);
+			}
+		})
+		.catch(err => {  //events stay pending and are re-delivered later, or dead-lettered once out of deliveries
+			this._error(err, eventList);
+			return this._source.fail(eventList.map(event => event.timestamp), err.message)
+			.catch(_ => {});  //the failure reason is only informational
+		});
+	}
+
+	/**
+	 * Private function emitting an error.  Errors are only logged if nobody listens, as an unhandled 'error' event
+	 * would be thrown.
+	 * @private
+	 * @param {Error} err - error
+	 * @param {array} eventList - batch the error relates to, undefined for read errors
+	 * @return void
+	 */
+	_error(err, eventList) {
+		logger.error(`EventStoreSubscription - ${err}`);
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err, eventList);
+		}
+	}
+
+	/**
+	 * Private function preparing the source, then starting the reads.  A failed init (e.g. the event store can't be
+	 * reached yet) is retried until the subscription is stopped.
+	 * @private
+	 * @return void
+	 */
+	_init() {
+		if (this._state === 'stopped') {  //stopped while a retry was scheduled
+			return;
+		}
+		this._source.init()
+		.then(_ => {
+			this._loop();
+		})
+		.catch(err => {
+			if (this._state !== 'stopped') {
+				this._error(err);
+				this._timeout = setTimeout(() => this._init(), RETRY_INTERVAL);
+			}
+		});
+	}
+
+	/**
+	 * Private function reading and delivering batches back-to-back while the subscription is running
+	 * @private
+	 * @return void
+	 */
+	_loop() {
+		if (this._state !== 'running' || this._reading) {
+			return;
+		}
+		this._reading = true;
+
+		const recovering = this._cursor !== null;
+		let next;
+		if (this._held) {
+			next = Promise.resolve(this._held);
+			this._held = null;
+		}
+		else {
+			next = this._read();
+		}
+
+		next
+		.then(eventList => {
+			if (this._state === 'paused' && eventList.length > 0) {
+				this._held = eventList;
+			}
+			else if (this._state === 'running') {
+				if (eventList.length > 0) {
+					return this._deliver(eventList);
+				}
+				else if (!recovering) {
+					this.emit('idle');
+				}
+			}
+		})
+		.then(_ => {
+			this._reading = false;
+			this._loop();
+		})
+		.catch(err => {
+			this._reading = false;
+			if (this._state !== 'stopped') {
+				this._error(err);
+				this._timeout = setTimeout(() => this._loop(), RETRY_INTERVAL);
+			}
+		});
+	}
+
+	/**
+	 * Private function reading the next batch: this consumer's pending events first, then new events
+	 * @private
+	 * @return {array} array of event objects
+	 */
+	_read() {
+		if (this._cursor === null) {
+			return this._source.read('>');
+		}
+
+		return this._source.read(this._cursor)
+		.then(eventList => {
+			if (eventList.length > 0) {
+				this._cursor = eventList[eventList.length - 1].timestamp;
+			}
+			else {
+				this._cursor = null;  //all pending events re-delivered, switch to new events
+			}
+			return eventList;
+		});
+	}
+};
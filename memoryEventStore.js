@@ -0,0 +1,445 @@
+/**
+ * @fileoverview In-memory EventStore implementation, for tests and local development
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const EventStore = require('./eventStore');
+const EventStoreSubscription = require('./eventStoreSubscription');
+const logger = require('./eventStoreLogger');
+
+/** @desc In-memory EventStore implementation with the semantics of the Redis Streams one: stream ids, optimistic
+ * concurrency on aggregate versions, idempotency keys, consumer groups with pending queues, delivery counts, claims and
+ * dead letters.  Each operation completes within a single turn of the event loop, so it's atomic like the Redis
+ * transactions and scripts it mirrors.  Events are stored as their stream fields and parsed on every read, so readers
+ * can't change the stored events.  See EventStore for the documentation of the methods.
+ */
+module.exports = class MemoryEventStore extends EventStore {
+
+	/**
+	 * @param {Object} options - blockTimeout: maximum time (in ms) a subscription read waits for new events,
+	 * 							batchSize, maxDeliveries: see EventStore
+	 */
+	constructor(options = {}) {
+		super(options);
+		this._blockTimeout = options.blockTimeout || 5000;
+		this._streams = new Map();  //stream name -> array of entries [stream id, [field, value, ...]]
+		this._versions = new Map();  //aggregate id -> version
+		this._idempotency = new Map();  //stream name:key -> {result, expiresAt}
+		this._snapshots = new Map();  //stream name:aggregate id -> JSON of the snapshot
+		this._sets = new Map();  //type -> set of ids
+		this._groups = new Map();  //stream name:group name -> {lastId, pending: stream id -> {consumer, deliveredAt, deliveryCount}}
+		this._failures = new Map();  //stream name:group name -> map of stream id -> failure reason
+		this._waiters = new Set();  //wake-up functions of the subscription reads waiting for new events
+		this._lastMs = 0;
+		this._lastSeq = 0;
+	}
+
+	ack(streamName, timestamp, groupName) {
+		groupName = this._groupName(streamName, groupName);
+		const timestamps = [].concat(timestamp);
+		logger.debug(`MemoryEventStore.ack - streamName:${streamName}, groupName:${groupName}, timestamp:${timestamp}`);
+		const group = this._groups.get(this._groupKey(streamName, groupName));
+		const failures = this._failures.get(this._groupKey(streamName, groupName));
+		let acked = 0;
+		timestamps.forEach((ts) => {
+			if (group && group.pending.delete(ts)) {
+				acked += 1;
+			}
+			if (failures) {
+				failures.delete(ts);
+			}
+		});
+		return Promise.resolve(acked);
+	}
+
+	addId(id, type) {
+		if (!this._sets.has(type)) {
+			this._sets.set(type, new Set());
+		}
+		const ids = this._sets.get(type);
+		const result = ids.has(id) ? 0 : 1;
+		ids.add(id);
+		logger.debug(`MemoryEventStore.addId - id:${id} - result:${result}`);
+		return Promise.resolve(result);
+	}
+
+	close() {
+		logger.debug(`MemoryEventStore.close`);
+		this._subscriptions.forEach((subscription) => {
+			subscription.stop();
+		});
+		this._wake();
+	}
+
+	connect() {
+		logger.debug(`MemoryEventStore.connect`);
+		return Promise.resolve();
+	}
+
+	deadLetter(streamName, timestamp, reason, deliveryCount, groupName) {
+		logger.debug(`MemoryEventStore.deadLetter - streamName:${streamName}, timestamp:${timestamp}, reason:${reason}`);
+		groupName = this._groupName(streamName, groupName);
+		const entry = this._find(streamName, timestamp);
+		if (!entry) {  //event was deleted, just ack it
+			return this.ack(streamName, timestamp, groupName)
+			.then(_ => {
+				return null;
+			});
+		}
+		const failures = this._failures.get(this._groupKey(streamName, groupName));
+		reason = reason || (failures && failures.get(timestamp));
+		const id = this._append(this._deadLetterStream(streamName),
+			this._deadLetterFields(entry[1], timestamp, reason, deliveryCount, groupName));
+		return this.ack(streamName, timestamp, groupName)
+		.then(_ => {
+			return id;
+		});
+	}
+
+	get(streamName, id, timestamp) {
+		const eventList = this._entries(streamName)
+		.filter(entry => EventStore.compareIds(entry[0], timestamp) > 0)
+		.map(entry => this._parse(entry))
+		.filter(event => event.id === id);
+		logger.debug(`MemoryEventStore.get - streamName:${streamName}, id:${id}, timestamp:${timestamp} - eventList.length:${eventList.length}`);
+		return Promise.resolve(eventList);
+	}
+
+	getIdempotentResult(streamName, key) {
+		const recorded = this._recorded(this._idempotencyKey(streamName, key));
+		return Promise.resolve(recorded ? JSON.parse(recorded) : null);
+	}
+
+	getPending(streamName, consumerName, maxElapsed, groupName) {
+		logger.debug(`MemoryEventStore.getPending - streamName:${streamName}, consumerName:${consumerName}, maxElapsed:${maxElapsed}`);
+		groupName = this._groupName(streamName, groupName);
+		const group = this._groups.get(this._groupKey(streamName, groupName));
+		if (!group) {
+			return Promise.resolve([]);
+		}
+
+		const now = Date.now();
+		let eventList = [];
+		let deadLetters = [];
+		Array.from(group.pending.keys()).sort(EventStore.compareIds).forEach((timestamp) => {
+			const pending = group.pending.get(timestamp);
+			if (now - pending.deliveredAt < maxElapsed) {
+				return;
+			}
+			const entry = this._find(streamName, timestamp);
+			if (!entry) {  //entry was deleted
+				return;
+			}
+			Object.assign(pending, {'consumer' : consumerName, 'deliveredAt' : now, 'deliveryCount' : pending.deliveryCount + 1});
+			const event = this._parse(entry);
+			event.deliveryCount = pending.deliveryCount;
+			if (event.deliveryCount > this._maxDeliveries) {  //poison event
+				deadLetters.push(this.deadLetter(streamName, timestamp, undefined, event.deliveryCount - 1, groupName));
+			}
+			else {
+				eventList.push(event);
+			}
+		});
+		return Promise.all(deadLetters)
+		.then(_ => {
+			return eventList;
+		});
+	}
+
+	getSnapshot(streamName, id) {
+		const snapshot = this._snapshots.get(`${streamName}:${id}`);
+		return Promise.resolve(snapshot ? JSON.parse(snapshot) : null);
+	}
+
+	length(streamName) {
+		return Promise.resolve(this._entries(streamName).length);
+	}
+
+	publishBatch(streamName, aggregateId, expectedVersion, events, options = {}) {
+		logger.debug(`MemoryEventStore.publishBatch - streamName:${streamName}, aggregateId:${aggregateId},\
+		 expectedVersion:${expectedVersion}, events.length:${events.length}`);
+		if (events.length === 0) {
+			return Promise.reject(new Error('Attempting to publish an empty list of events'));
+		}
+		const idempotencyError = this._idempotencyError(options.idempotency);
+		if (idempotencyError) {
+			return Promise.reject(idempotencyError);
+		}
+
+		const idempotency = options.idempotency || {};
+		const idempotencyKey = idempotency.key ? this._idempotencyKey(streamName, idempotency.key) : null;
+		if (idempotencyKey) {
+			const recorded = this._recorded(idempotencyKey);
+			if (recorded) {
+				return Promise.resolve({'status': 'duplicate', 'result': JSON.parse(recorded)});
+			}
+		}
+		const current = this._versions.get(aggregateId);
+		if (current !== undefined && current !== parseInt(expectedVersion)) {
+			return Promise.resolve({'status': 'conflict', 'currentVersion': current});
+		}
+
+		const version = (current || 0) + events.length;
+		this._versions.set(aggregateId, version);
+		const timestamps = this._eventFields(aggregateId, expectedVersion, events, options.metadata)
+		.map(fields => this._append(streamName, fields));
+		if (idempotencyKey) {
+			this._idempotency.set(idempotencyKey, {'result': JSON.stringify(idempotency.result || null),
+				'expiresAt': Date.now() + idempotency.retention});
+		}
+		return Promise.resolve({'status': 'ok', 'version': version, 'timestamps': timestamps});
+	}
+
+	range(streamName, id, options = {}) {
+		const count = options.count || 100;
+		const reverse = options.reverse === true;
+		const start = options.start && options.start !== '-' ? options.start : null;
+		const end = options.end && options.end !== '+' ? options.end : null;
+		logger.debug(`MemoryEventStore.range - streamName:${streamName}, id:${id}, options:${JSON.stringify(options)}`);
+
+		let entries = this._entries(streamName).filter(entry => {
+			return (!start || EventStore.compareIds(entry[0], start) >= 0) && (!end || EventStore.compareIds(entry[0], end) <= 0);
+		});
+		if (reverse) {
+			entries.reverse();
+		}
+		let eventList = [];
+		for (let entry of entries) {
+			const event = this._parse(entry);
+			if (id === null || id === undefined || event.id === id) {
+				eventList.push(event);
+				if (eventList.length === count) {
+					return Promise.resolve({'events': eventList, 'next': reverse ? this._previousId(entry[0]) : this._nextId(entry[0])});
+				}
+			}
+		}
+		return Promise.resolve({'events': eventList, 'next': null});
+	}
+
+	recordFailure(streamName, timestamps, reason, groupName) {
+		logger.debug(`MemoryEventStore.recordFailure - streamName:${streamName}, timestamps:${timestamps}, reason:${reason}`);
+		const key = this._groupKey(streamName, this._groupName(streamName, groupName));
+		if (!this._failures.has(key)) {
+			this._failures.set(key, new Map());
+		}
+		timestamps.forEach((timestamp) => {
+			this._failures.get(key).set(timestamp, reason);
+		});
+		return Promise.resolve();
+	}
+
+	replayDeadLetter(streamName, id) {
+		logger.debug(`MemoryEventStore.replayDeadLetter - streamName:${streamName}, id:${id}`);
+		const deadLetters = this._entries(this._deadLetterStream(streamName));
+		const index = deadLetters.findIndex(entry => entry[0] === id);
+		if (index === -1) {
+			return Promise.resolve(null);
+		}
+		const timestamp = this._append(streamName, this._replayFields(deadLetters[index][1]));
+		deadLetters.splice(index, 1);
+		return Promise.resolve(timestamp);
+	}
+
+	saveSnapshot(streamName, snapshot) {
+		logger.debug(`MemoryEventStore.saveSnapshot - streamName:${streamName}, id:${snapshot.id}, version:${snapshot.version}`);
+		this._snapshots.set(`${streamName}:${snapshot.id}`, JSON.stringify(snapshot));
+		return Promise.resolve('OK');
+	}
+
+	subscribe(streamName, consumerName, options = {}) {
+		const groupName = this._groupName(streamName, options.groupName);
+		const startId = this._groupStartId(options.startId);
+		logger.debug(`MemoryEventStore.subscribe - streamName:${streamName}, groupName:${groupName}, consumerName:${consumerName}`);
+		let closed = false;
+
+		const subscription = new EventStoreSubscription({
+			'init': () => {
+				const key = this._groupKey(streamName, groupName);
+				if (!this._groups.has(key)) {
+					const entries = this._entries(streamName);
+					let lastId = startId === '0' ? '0-0' : startId;
+					if (startId === '$') {
+						lastId = entries.length > 0 ? entries[entries.length - 1][0] : '0-0';
+					}
+					this._groups.set(key, {'lastId': lastId, 'pending': new Map()});
+				}
+				return Promise.resolve();
+			},
+			'read': (id) => {
+				const eventList = this._readGroup(streamName, groupName, consumerName, id);
+				if (eventList.length > 0 || id !== '>' || closed) {
+					return Promise.resolve(eventList);
+				}
+				return this._wait()  //block until new events are published, or the timeout
+				.then(_ => closed ? [] : this._readGroup(streamName, groupName, consumerName, id));
+			},
+			'ack': (timestamps) => this.ack(streamName, timestamps, groupName),
+			'fail': (timestamps, reason) => this.recordFailure(streamName, timestamps, reason, groupName),
+			'close': () => {
+				closed = true;
+				this._wake();
+			}
+		}, options);
+		this._subscriptions.push(subscription);
+		return subscription;
+	}
+
+	/**
+	 * Private function appending an entry to a stream, with a new stream id, and waking the subscription reads
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {array} fields - stream fields of the entry
+	 * @return {string} stream id of the entry
+	 */
+	_append(streamName, fields) {
+		const now = Date.now();
+		if (now > this._lastMs) {
+			this._lastMs = now;
+			this._lastSeq = 0;
+		}
+		else {
+			this._lastSeq += 1;
+		}
+		const id = `${this._lastMs}-${this._lastSeq}`;
+		if (!this._streams.has(streamName)) {
+			this._streams.set(streamName, []);
+		}
+		this._streams.get(streamName).push([id, fields]);
+		this._wake();
+		return id;
+	}
+
+	/**
+	 * Private function returning the entries of a stream
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @return {array} entries, empty if the stream doesn't exist
+	 */
+	_entries(streamName) {
+		return this._streams.get(streamName) || [];
+	}
+
+	/**
+	 * Private function finding an entry of a stream
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {string} timestamp - stream id of the entry
+	 * @return {array} entry, undefined if not found
+	 */
+	_find(streamName, timestamp) {
+		return this._entries(streamName).find(entry => entry[0] === timestamp);
+	}
+
+	/**
+	 * Private function returning the key of a consumer group
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {string} groupName - name of the consumer group
+	 * @return {string} key
+	 */
+	_groupKey(streamName, groupName) {
+		return `${streamName}:${groupName}`;
+	}
+
+	/**
+	 * Private function returning the key of an idempotent publish
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {string} key - idempotency key
+	 * @return {string} key
+	 */
+	_idempotencyKey(streamName, key) {
+		return `${streamName}:${key}`;
+	}
+
+	/**
+	 * Private function reading events for a consumer of a group.  New events ('>') are added to the pending queue of
+	 * the consumer.  Reading from an id re-delivers the consumer's pending events after that id.
+	 * @private
+	 * @param {string} streamName - name of the stream
+	 * @param {string} groupName - name of the consumer group
+	 * @param {string} consumerName - name of the consumer
+	 * @param {string} id - '>' for new events, otherwise the stream id after which pending events are read
+	 * @return {array} array of event objects, each with the number of times it has been delivered as deliveryCount
+	 */
+	_readGroup(streamName, groupName, consumerName, id) {
+		const group = this._groups.get(this._groupKey(streamName, groupName));
+		const now = Date.now();
+		let eventList = [];
+		if (id === '>') {
+			const entries = this._entries(streamName).filter(entry => EventStore.compareIds(entry[0], group.lastId) > 0)
+			.slice(0, this._batchSize);
+			entries.forEach((entry) => {
+				group.pending.set(entry[0], {'consumer': consumerName, 'deliveredAt': now, 'deliveryCount': 1});
+				group.lastId = entry[0];
+				const event = this._parse(entry);
+				event.deliveryCount = 1;
+				eventList.push(event);
+			});
+		}
+		else {
+			const timestamps = Array.from(group.pending.keys())
+			.filter(timestamp => group.pending.get(timestamp).consumer === consumerName && EventStore.compareIds(timestamp, id) > 0)
+			.sort(EventStore.compareIds)
+			.slice(0, this._batchSize);
+			timestamps.forEach((timestamp) => {
+				const pending = group.pending.get(timestamp);
+				pending.deliveredAt = now;
+				pending.deliveryCount += 1;
+				const entry = this._find(streamName, timestamp);
+				if (entry) {  //entries deleted from the stream are skipped
+					const event = this._parse(entry);
+					event.deliveryCount = pending.deliveryCount;
+					eventList.push(event);
+				}
+			});
+		}
+		logger.debug(`MemoryEventStore._readGroup - streamName:${streamName}, groupName:${groupName}, consumerName:${consumerName}, id:${id} - eventList.length:${eventList.length}`);
+		return eventList;
+	}
+
+	/**
+	 * Private function returning the result recorded under an idempotency key, unless its retention has expired
+	 * @private
+	 * @param {string} key - key returned by _idempotencyKey
+	 * @return {string} JSON of the recorded result, null if none
+	 */
+	_recorded(key) {
+		const recorded = this._idempotency.get(key);
+		if (recorded && recorded.expiresAt <= Date.now()) {
+			this._idempotency.delete(key);
+			return null;
+		}
+		return recorded ? recorded.result : null;
+	}
+
+	/**
+	 * Private function waiting for new events to be published, for up to blockTimeout ms
+	 * @private
+	 * @return {promise} resolved when woken or timed out
+	 */
+	_wait() {
+		return new Promise(resolve => {
+			const wake = () => {
+				clearTimeout(timer);
+				this._waiters.delete(wake);
+				resolve();
+			};
+			const timer = setTimeout(wake, this._blockTimeout);
+			this._waiters.add(wake);
+		});
+	}
+
+	/**
+	 * Private function waking up all the waiting subscription reads
+	 * @private
+	 * @return void
+	 */
+	_wake() {
+		Array.from(this._waiters).forEach(wake => wake());
+	}
+};
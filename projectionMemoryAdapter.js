@@ -0,0 +1,96 @@
+/**
+ * @fileoverview In-memory read model adapter for projections
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const EventStore = require('./eventStore');
+
+/** @desc Keeps the state of each aggregate in memory, e.g. for caches or tests.  States are copied in and out, so
+ * handlers and readers can't change the stored ones.  See EventStoreProjector for the adapter interface.
+ */
+module.exports = class ProjectionMemoryAdapter {
+
+	constructor() {
+		this._entries = new Map();  //{version, state} by aggregate id
+		this._checkpoints = new Map();  //stream id by projection name
+	}
+
+	/**
+	 * Fetches the position recorded for a projection
+	 * @param {string} name - name of the projection
+	 * @return {string} - Redis stream id, undefined if none
+	 */
+	checkpoint(name) {
+		return this._checkpoints.get(name);
+	}
+
+	/**
+	 * Fetches the state of an aggregate
+	 * @param {string} id - aggregate id
+	 * @return {Object} - state object, null if the aggregate has no state
+	 */
+	get(id) {
+		const entry = this._entries.get(id);
+		return entry ? this._copy(entry.state) : null;
+	}
+
+	/**
+	 * Reads the state of a set of aggregates
+	 * @param {array} ids - aggregate ids
+	 * @return {Map} - {version, state} by aggregate id, aggregates never saved are left out
+	 */
+	load(ids) {
+		let result = new Map();
+		for (let id of ids) {
+			const entry = this._entries.get(id);
+			if (entry) {
+				result.set(id, {'version' : entry.version, 'state' : this._copy(entry.state)});
+			}
+		}
+		return Promise.resolve(result);
+	}
+
+	/**
+	 * Writes the state of a set of aggregates.  Each state is only replaced if it's still at the version the update
+	 * was computed from.
+	 * @param {array} updates - array of {id, from, version, state}
+	 * @return {promise}
+	 */
+	save(updates) {
+		for (let update of updates) {
+			const entry = this._entries.get(update.id);
+			if ((entry ? entry.version : 0) === update.from) {
+				this._entries.set(update.id, {'version' : update.version, 'state' : this._copy(update.state)});
+			}
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	 * Records the position reached by a projection, if it's ahead of the recorded one
+	 * @param {string} name - name of the projection
+	 * @param {string} position - Redis stream id
+	 * @return {promise}
+	 */
+	saveCheckpoint(name, position) {
+		const current = this._checkpoints.get(name);
+		if (!current || EventStore.compareIds(position, current) > 0) {
+			this._checkpoints.set(name, position);
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	 * Private function returning a deep copy of a state object
+	 * @private
+	 * @param {Object} state - state object
+	 * @return {Object} copy
+	 */
+	_copy(state) {
+		return JSON.parse(JSON.stringify(state));
+	}
+};
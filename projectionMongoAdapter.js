@@ -0,0 +1,90 @@
+/**
+ * @fileoverview MongoDB read model adapter for projections
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const logger = require('./eventStoreLogger');
+const CHECKPOINT_COLLECTION = 'projectionCheckpoints';  //positions reached by the projections, by projection name
+
+/** @desc Stores the state of each aggregate as a document of a MongoDB collection: the state fields, plus _id (the
+ * aggregate id) and version (version of the last applied event).  See EventStoreProjector for the adapter interface.
+ */
+module.exports = class ProjectionMongoAdapter {
+
+	/**
+	 * @param {object} db - MongoDB database connection
+	 * @param {string} collectionName - name of the collection holding the read model
+	 */
+	constructor(db, collectionName) {
+		this._db = db;
+		this._collection = db.collection(collectionName);
+	}
+
+	/**
+	 * Name of the collection where the projection checkpoints are recorded
+	 */
+	static get CHECKPOINT_COLLECTION() {
+		return CHECKPOINT_COLLECTION;
+	}
+
+	/**
+	 * Reads the state of a set of aggregates
+	 * @param {array} ids - aggregate ids
+	 * @return {Map} - {version, state} by aggregate id, aggregates without a document are left out
+	 */
+	load(ids) {
+		return this._collection.find({'_id' : {$in : ids}}).toArray()
+		.then(docs => {
+			return new Map(docs.map(doc => {
+				let state = Object.assign({}, doc);
+				delete state._id;
+				delete state.version;
+				return [doc._id, {'version' : doc.version, 'state' : state}];
+			}));
+		});
+	}
+
+	/**
+	 * Writes the state of a set of aggregates with one bulk write.  Each document is only replaced if it's still at
+	 * the version the update was computed from.  A new aggregate's document is created with an upsert, as no document
+	 * has version 0.
+	 * @param {array} updates - array of {id, from, version, state}
+	 * @return {promise}
+	 */
+	save(updates) {
+		const operations = updates.map(update => {
+			return {'replaceOne' : {'filter' : {'_id' : update.id, 'version' : update.from},
+				'replacement' : Object.assign({}, update.state, {'version' : update.version}), 'upsert' : update.from === 0}};
+		});
+		return this._collection.bulkWrite(operations, {'ordered' : false})
+		.catch(err => {
+			if (err.name !== 'BulkWriteError') {
+				throw err;
+			}
+			//e.g. duplicate key on an upsert racing another projector, the caller reads the versions again
+			logger.debug(`ProjectionMongoAdapter.save - failed updates:${err.writeErrors.length}`);
+		});
+	}
+
+	/**
+	 * Records the position reached by a projection, if it's ahead of the recorded one
+	 * @param {string} name - name of the projection
+	 * @param {string} position - Redis stream id
+	 * @return {promise}
+	 */
+	saveCheckpoint(name, position) {
+		const [ms, seq] = position.split('-').map(part => parseInt(part));
+		const query = {'_id' : name, $or : [{'ms' : {$lt : ms}}, {'ms' : ms, 'seq' : {$lt : seq}}]};
+		const value = {$set : {'position' : position, 'ms' : ms, 'seq' : seq, 'updatedAt' : new Date()}};
+		return this._db.collection(CHECKPOINT_COLLECTION).updateOne(query, value, {'upsert' : true})
+		.catch(err => {
+			if (err.code !== 11000) {  //the recorded checkpoint is already at or past the position
+				throw err;
+			}
+		});
+	}
+};
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Redis hash read model adapter for projections
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const redis = require('redis');
+const util = require('util');
+const logger = require('./eventStoreLogger');
+const CHECKPOINT_KEY = 'projectionCheckpoints';  //hash of the positions reached by the projections, by projection name
+
+/*
+ * Conditional replace of the hash of an aggregate.  KEYS[1] = hash key, ARGV[1] = version the update was computed from,
+ * ARGV[2] = new version, ARGV[3] = JSON array of the state fields and values.
+ * Returns 1 if the hash was replaced, 0 if it's no longer at version ARGV[1]
+ */
+const SAVE_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'version') or '0')
+if current ~= tonumber(ARGV[1]) then
+	return 0
+end
+redis.call('DEL', KEYS[1])
+redis.call('HSET', KEYS[1], 'version', ARGV[2], unpack(cjson.decode(ARGV[3])))
+return 1
+`;
+
+/*
+ * Records a checkpoint unless the recorded one is at or past it.  KEYS[1] = checkpoint hash, ARGV[1] = projection name,
+ * ARGV[2] = Redis stream id.  Returns 1 if recorded, 0 if not.
+ */
+const CHECKPOINT_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if current then
+	local ms, seq = string.match(current, '(%d+)-(%d+)')
+	local newMs, newSeq = string.match(ARGV[2], '(%d+)-(%d+)')
+	if tonumber(newMs) < tonumber(ms) or (tonumber(newMs) == tonumber(ms) and tonumber(newSeq) <= tonumber(seq)) then
+		return 0
+	end
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+/** @desc Stores the state of each aggregate as a Redis hash, with key prefix:id.  Each field holds the JSON of a
+ * state field, and the version field the version of the last applied event.  See EventStoreProjector for the adapter
+ * interface.
+ */
+module.exports = class ProjectionRedisAdapter {
+
+	/**
+	 * @param {int} redisPort - redis port number
+	 * @param {string} redisHost - redis host name/address
+	 * @param {string} prefix - prefix of the keys of the hashes, e.g. the read model name
+	 */
+	constructor(redisPort, redisHost, prefix) {
+		this._redisPort = redisPort;
+		this._redisHost = redisHost;
+		this._prefix = prefix;
+	}
+
+	/**
+	 * Function for clean up.  Shuts down redis client.
+	 * @return void
+	 */
+	close() {
+		logger.debug(`ProjectionRedisAdapter.close`);
+		this._client.quit();
+	}
+
+	/**
+	 * Creates a redis client
+	 * @return void
+	 */
+	connect() {
+		logger.debug(`ProjectionRedisAdapter.connect`);
+		this._client = redis.createClient(this._redisPort, this._redisHost);
+		this._client.on('error', (err) => {
+			logger.error(`ProjectionRedisAdapter - redis client error:${err}`);
+		});
+		this._evalAsync = util.promisify(this._client.eval).bind(this._client);
+	}
+
+	/**
+	 * Reads the state of a set of aggregates
+	 * @param {array} ids - aggregate ids
+	 * @return {Map} - {version, state} by aggregate id, aggregates without a hash are left out
+	 */
+	load(ids) {
+		let multi = this._client.multi();
+		ids.forEach(id => {
+			multi.hgetall(this._key(id));
+		});
+		return this._exec(multi)
+		.then(replies => {
+			let result = new Map();
+			replies.forEach((hash, i) => {
+				if (hash) {
+					let state = {};
+					for (let field of Object.keys(hash)) {
+						if (field !== 'version') {
+							state[field] = JSON.parse(hash[field]);
+						}
+					}
+					result.set(ids[i], {'version' : parseInt(hash.version), 'state' : state});
+				}
+			});
+			return result;
+		});
+	}
+
+	/**
+	 * Writes the state of a set of aggregates.  Each hash is only replaced if it's still at the version the update
+	 * was computed from.
+	 * @param {array} updates - array of {id, from, version, state}
+	 * @return {promise}
+	 */
+	save(updates) {
+		return Promise.all(updates.map(update => {
+			let fields = [];
+			for (let field of Object.keys(update.state)) {
+				fields.push(field, JSON.stringify(update.state[field]));
+			}
+			return this._evalAsync(SAVE_SCRIPT, 1, this._key(update.id), update.from, update.version,
+				JSON.stringify(fields));
+		}));
+	}
+
+	/**
+	 * Records the position reached by a projection, if it's ahead of the recorded one
+	 * @param {string} name - name of the projection
+	 * @param {string} position - Redis stream id
+	 * @return {promise}
+	 */
+	saveCheckpoint(name, position) {
+		return this._evalAsync(CHECKPOINT_SCRIPT, 1, CHECKPOINT_KEY, name, position);
+	}
+
+	/**
+	 * Private function that executes a Redis transaction
+	 * @private
+	 * @param {Object} multi - Redis multi object
+	 * @return {array} replies
+	 */
+	_exec(multi) {
+		return new Promise((resolve, reject) => {
+			multi.exec((err, replies) => {
+				if (err) {
+					reject(err);
+				}
+				else {
+					resolve(replies);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Private function returning the Redis key of the hash of an aggregate
+	 * @private
+	 * @param {string} id - aggregate id
+	 * @return {string} Redis key
+	 */
+	_key(id) {
+		return `${this._prefix}:${id}`;
+	}
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Tests of the account aggregate
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const Account = require('../account');
+const errors = require('../errors');
+
+describe('Account', () => {
+
+	describe('deposit', () => {
+		it('adds the amount to the funds', () => {
+			const account = new Account('a');
+			account.deposit(10);
+			account.deposit(5);
+			assert.strictEqual(account.funds, 15);
+		});
+
+		it('rejects a 0 or negative amount', () => {
+			const account = new Account('a');
+			assert.throws(() => account.deposit(0), (err) => {
+				return err instanceof errors.ValidationError && err.code === 'INVALID_AMOUNT';
+			});
+			assert.throws(() => account.deposit(-5), /0 or negative value/);
+			assert.strictEqual(account.funds, 0);
+		});
+
+		it('rejects an amount that is not a finite number', () => {
+			const account = new Account('a');
+			[undefined, null, '10', NaN, Infinity, {}].forEach((amount) => {
+				assert.throws(() => account.deposit(amount), (err) => {
+					return err instanceof errors.ValidationError && err.code === 'INVALID_AMOUNT';
+				});
+			});
+			assert.strictEqual(account.funds, 0);
+		});
+	});
+
+	describe('withdraw', () => {
+		it('deducts the amount from the funds', () => {
+			const account = new Account('a');
+			account.deposit(10);
+			account.withdraw(4);
+			assert.strictEqual(account.funds, 6);
+		});
+
+		it('allows withdrawing all the funds', () => {
+			const account = new Account('a');
+			account.deposit(10);
+			account.withdraw(10);
+			assert.strictEqual(account.funds, 0);
+		});
+
+		it('rejects an overdraft and leaves the funds unchanged', () => {
+			const account = new Account('a');
+			account.deposit(10);
+			assert.throws(() => account.withdraw(11), (err) => {
+				return err instanceof errors.BusinessRuleError && err.code === 'INSUFFICIENT_FUNDS';
+			});
+			assert.strictEqual(account.funds, 10);
+		});
+
+		it('rejects a 0 or negative amount', () => {
+			const account = new Account('a');
+			account.deposit(10);
+			assert.throws(() => account.withdraw(0), /0 or negative value/);
+			assert.throws(() => account.withdraw(-1), /0 or negative value/);
+			assert.strictEqual(account.funds, 10);
+		});
+	});
+
+	describe('rehydrate', () => {
+		const events = [
+			{'id': 'a', 'version': 1, 'timestamp': '1-0', 'type': 'create'},
+			{'id': 'a', 'version': 2, 'timestamp': '1-1', 'type': 'deposit', 'amount': 10},
+			{'id': 'b', 'version': 1, 'timestamp': '1-2', 'type': 'deposit', 'amount': 100},
+			{'id': 'a', 'version': 3, 'timestamp': '1-3', 'type': 'withdraw', 'amount': 3}
+		];
+
+		it('applies the events of the account and tracks its version and timestamp', () => {
+			const account = new Account('a');
+			account.rehydrate(events);
+			assert.deepStrictEqual(account.toObject(), {'id': 'a', 'version': 3, 'timestamp': '1-3', 'funds': 7});
+		});
+
+		it('skips the event it was last rehydrated from', () => {
+			const account = new Account('a');
+			account.rehydrate(events);
+			account.rehydrate(events.slice(3));
+			assert.strictEqual(account.funds, 7);
+		});
+
+		it('ignores events of an unknown type', () => {
+			const account = new Account('a');
+			account.rehydrate([{'id': 'a', 'version': 1, 'timestamp': '1-0', 'type': 'credit', 'amount': 10}]);
+			assert.strictEqual(account.funds, 0);
+			assert.strictEqual(account.version, 1);
+		});
+	});
+
+	describe('snapshots', () => {
+		it('restores an account from its snapshot', () => {
+			const account = new Account('a');
+			account.rehydrate([{'id': 'a', 'version': 2, 'timestamp': '1-1', 'type': 'deposit', 'amount': 10}]);
+			const restored = Account.fromSnapshot(JSON.parse(JSON.stringify(account.toSnapshot())));
+			assert.deepStrictEqual(restored.toObject(), account.toObject());
+		});
+
+		it('rejects a missing snapshot or one with an outdated schema', () => {
+			const snapshot = new Account('a').toSnapshot();
+			snapshot.schemaVersion = 0;
+			assert.strictEqual(Account.fromSnapshot(snapshot), null);
+			assert.strictEqual(Account.fromSnapshot(null), null);
+		});
+	});
+});
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Tests of the REST interface, with in-process requests against the in-memory event store
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+const helpers = require('./helpers');
+const assert = require('assert');
+const request = require('supertest');
+const createApp = require('../accountRestServer');
+const AccountService = require('../accountService');
+const TransferProcessManager = require('../transferProcessManager');
+const MemoryEventStore = require('../memoryEventStore');
+const errors = require('../errors');
+
+describe('Account REST server', () => {
+	let service;
+	let transferManager;
+	let app;
+
+	beforeEach(() => {
+		const store = new MemoryEventStore({'blockTimeout' : 100});
+		service = new AccountService(null, null, {'eventStore' : store});
+		transferManager = new TransferProcessManager(service, null, null, {'eventStore' : store});
+		transferManager.connect();
+		app = createApp(service);
+	});
+
+	afterEach(() => {
+		transferManager.close();
+		service.close();
+	});
+
+	/**
+	 * Creates an account through the REST interface
+	 * @param {string} id - ID of the account
+	 * @param {int} initialDeposit - optional initial deposit
+	 * @return {promise}
+	 */
+	function createAccount(id, initialDeposit) {
+		return request(app).post('/accounts').send({'id': id, 'initialDeposit': initialDeposit}).expect(201);
+	}
+
+	/**
+	 * Checks a problem+json response
+	 * @param {Object} response - supertest response
+	 * @param {int} status - expected HTTP status
+	 * @param {string} code - expected error code
+	 * @return void
+	 */
+	function assertProblem(response, status, code) {
+		assert.strictEqual(response.status, status);
+		assert.ok(/^application\/problem\+json/.test(response.headers['content-type']));
+		assert.strictEqual(response.body.status, status);
+		assert.strictEqual(response.body.code, code);
+		assert.strictEqual(response.body.instance, response.req.path);
+	}
+
+	describe('POST /accounts', () => {
+		it('creates an account', () => {
+			return request(app).post('/accounts').send({'id': 'a', 'initialDeposit': 10})
+			.expect(201, {'id': 'a', 'funds': 10});
+		});
+
+		it('rejects an id that already exists with 409', () => {
+			return createAccount('a')
+			.then(_ => request(app).post('/accounts').send({'id': 'a'}))
+			.then(response => {
+				assertProblem(response, 409, 'ACCOUNT_EXISTS');
+				assert.deepStrictEqual(response.body, {'type': 'about:blank', 'title': 'Conflict', 'status': 409,
+					'detail': 'Attempting to create an account id that already exists', 'code': 'ACCOUNT_EXISTS',
+					'instance': '/accounts'});
+			});
+		});
+
+		it('rejects a missing or empty id with 400', () => {
+			return Promise.all([{}, {'id': ''}, {'id': 5}].map(body => request(app).post('/accounts').send(body)))
+			.then(responses => {
+				responses.forEach(response => assertProblem(response, 400, 'INVALID_ID'));
+			});
+		});
+
+		it('rejects an initial deposit that is not a number with 400', () => {
+			return request(app).post('/accounts').send({'id': 'a', 'initialDeposit': '100'})
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_AMOUNT');
+				return request(app).get('/accounts/a');
+			})
+			.then(response => {
+				assertProblem(response, 404, 'ACCOUNT_NOT_FOUND');
+			});
+		});
+
+		it('rejects a malformed body with 400', () => {
+			return request(app).post('/accounts').set('Content-Type', 'application/json').send('{"id":')
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_REQUEST');
+			});
+		});
+	});
+
+	describe('GET /accounts/:id', () => {
+		it('returns the account', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).get('/accounts/a').expect(200))
+			.then(response => {
+				assert.strictEqual(response.body.funds, 10);
+				assert.strictEqual(response.body.version, 2);
+			});
+		});
+
+		it('returns the account as of a version', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/accounts/a/deposits').send({'amount': 5}).expect(200))
+			.then(_ => request(app).get('/accounts/a?version=2').expect(200))
+			.then(response => {
+				assert.strictEqual(response.body.funds, 10);
+			});
+		});
+
+		it('returns 404 for an account that did not exist yet at that point', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).get('/accounts/a?version=0'))
+			.then(response => {
+				assertProblem(response, 404, 'ACCOUNT_NOT_FOUND');
+			});
+		});
+
+		it('returns 404 for an unknown account', () => {
+			return request(app).get('/accounts/missing')
+			.then(response => {
+				assertProblem(response, 404, 'ACCOUNT_NOT_FOUND');
+				assert.strictEqual(response.body.detail, 'Non-existent account id');
+			});
+		});
+
+		it('returns 503 while the event store is unavailable', () => {
+			service._client.getSnapshot = () => {
+				return Promise.reject(new errors.UnavailableError('Event store unavailable', 'EVENT_STORE_UNAVAILABLE'));
+			};
+			return request(app).get('/accounts/a')
+			.then(response => {
+				assertProblem(response, 503, 'EVENT_STORE_UNAVAILABLE');
+			});
+		});
+
+		it('hides the details of unexpected errors', () => {
+			service._client.getSnapshot = () => Promise.reject(new TypeError('Cannot read property funds of null'));
+			return request(app).get('/accounts/a')
+			.then(response => {
+				assertProblem(response, 500, 'INTERNAL_ERROR');
+				assert.strictEqual(response.body.detail, 'Unexpected error');
+			});
+		});
+
+		it('rejects an invalid point in time', () => {
+			return createAccount('a')
+			.then(_ => request(app).get('/accounts/a?asOf=yesterday'))
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_PARAMETER');
+				assert.strictEqual(response.body.detail, 'Invalid asOf: yesterday');
+			});
+		});
+	});
+
+	describe('GET /accounts/:id/events', () => {
+		it('pages through the event history', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/accounts/a/withdrawals').send({'amount': 3}).expect(200))
+			.then(_ => request(app).get('/accounts/a/events?limit=2').expect(200))
+			.then(response => {
+				assert.deepStrictEqual(response.body.events.map(event => event.type), ['create', 'deposit']);
+				assert.ok(response.body.next);
+				return request(app).get(`/accounts/a/events?limit=2&cursor=${response.body.next}`).expect(200);
+			})
+			.then(response => {
+				assert.deepStrictEqual(response.body.events.map(event => [event.type, event.amount]), [['withdraw', 3]]);
+				assert.strictEqual(response.body.next, null);
+			});
+		});
+
+		it('returns the newest events first in descending order', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).get('/accounts/a/events?order=desc').expect(200))
+			.then(response => {
+				assert.deepStrictEqual(response.body.events.map(event => event.version), [2, 1]);
+			});
+		});
+
+		it('rejects an invalid page size', () => {
+			return request(app).get('/accounts/a/events?limit=0')
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_PARAMETER');
+			});
+		});
+	});
+
+	describe('POST /accounts/:id/deposits', () => {
+		it('deposits to the account', () => {
+			return createAccount('a')
+			.then(_ => request(app).post('/accounts/a/deposits').send({'amount': 5}).expect(200, {'id': 'a', 'amount': 5}))
+			.then(_ => request(app).get('/accounts/a').expect(200))
+			.then(response => {
+				assert.strictEqual(response.body.funds, 5);
+			});
+		});
+
+		it('applies a request retried with the same idempotency key once', () => {
+			const deposit = () => request(app).post('/accounts/a/deposits').set('Idempotency-Key', 'k1').send({'amount': 5})
+				.expect(200, {'id': 'a', 'amount': 5});
+			return createAccount('a')
+			.then(deposit)
+			.then(deposit)
+			.then(_ => request(app).get('/accounts/a').expect(200))
+			.then(response => {
+				assert.strictEqual(response.body.funds, 5);
+			});
+		});
+
+		it('rejects an idempotency key reused for a different amount with 409', () => {
+			return createAccount('a')
+			.then(_ => request(app).post('/accounts/a/deposits').set('Idempotency-Key', 'k1').send({'amount': 5}).expect(200))
+			.then(_ => request(app).post('/accounts/a/deposits').set('Idempotency-Key', 'k1').send({'amount': 50}))
+			.then(response => {
+				assertProblem(response, 409, 'IDEMPOTENCY_KEY_REUSED');
+			});
+		});
+
+		it('rejects a 0 or negative amount', () => {
+			return createAccount('a')
+			.then(_ => request(app).post('/accounts/a/deposits').send({'amount': 0}))
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_AMOUNT');
+			});
+		});
+
+		it('rejects a missing or non-numeric amount with 400 without storing an event', () => {
+			return createAccount('a', 10)
+			.then(_ => Promise.all([{'amount': 'abc'}, {}, {'amount': null}].map(body => {
+				return request(app).post('/accounts/a/deposits').send(body);
+			})))
+			.then(responses => {
+				responses.forEach(response => assertProblem(response, 400, 'INVALID_AMOUNT'));
+				return request(app).get('/accounts/a').expect(200);
+			})
+			.then(response => {
+				assert.strictEqual(response.body.funds, 10);
+				assert.strictEqual(response.body.version, 2);
+			});
+		});
+
+		it('returns 404 for an unknown account', () => {
+			return request(app).post('/accounts/missing/deposits').send({'amount': 5})
+			.then(response => {
+				assertProblem(response, 404, 'ACCOUNT_NOT_FOUND');
+			});
+		});
+
+		it('returns 409 when a concurrency conflict persists', () => {
+			service._client.publish = (streamName, event) => {
+				return Promise.resolve({'status': 'conflict', 'currentVersion': event.version + 1});
+			};
+			return createAccount('a')
+			.then(_ => request(app).post('/accounts/a/deposits').send({'amount': 5}))
+			.then(response => {
+				assertProblem(response, 409, 'VERSION_CONFLICT');
+			});
+		});
+	});
+
+	describe('POST /accounts/:id/withdrawals', () => {
+		it('withdraws from the account', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/accounts/a/withdrawals').send({'amount': 4}).expect(200, {'id': 'a', 'amount': 4}))
+			.then(_ => request(app).get('/accounts/a').expect(200))
+			.then(response => {
+				assert.strictEqual(response.body.funds, 6);
+			});
+		});
+
+		it('rejects a missing or non-numeric amount with 400', () => {
+			return createAccount('a', 10)
+			.then(_ => Promise.all([{'amount': '5'}, {}].map(body => request(app).post('/accounts/a/withdrawals').send(body))))
+			.then(responses => {
+				responses.forEach(response => assertProblem(response, 400, 'INVALID_AMOUNT'));
+				return request(app).get('/accounts/a').expect(200);
+			})
+			.then(response => {
+				assert.strictEqual(response.body.funds, 10);
+			});
+		});
+
+		it('rejects an overdraft with 422', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/accounts/a/withdrawals').send({'amount': 11}))
+			.then(response => {
+				assertProblem(response, 422, 'INSUFFICIENT_FUNDS');
+				assert.strictEqual(response.body.detail, 'Attempting to deduct more funds than available');
+			});
+		});
+
+		it('records the request headers in the event envelope', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/accounts/a/withdrawals').set('X-Correlation-Id', 'c1').set('X-User-Id', 'u1')
+				.send({'amount': 4}).expect(200))
+			.then(_ => service._client.get('accountStream', 'a', 0))
+			.then(events => {
+				assert.strictEqual(events[2].metadata.correlationId, 'c1');
+				assert.strictEqual(events[2].metadata.actor, 'u1');
+			});
+		});
+	});
+
+	describe('transfers', () => {
+		it('initiates a transfer that the process manager completes', () => {
+			return Promise.all([createAccount('a', 10), createAccount('b')])
+			.then(_ => request(app).post('/transfers').send({'from': 'a', 'to': 'b', 'amount': 4}).expect(202))
+			.then(response => {
+				assert.strictEqual(response.body.status, 'initiated');
+				assert.strictEqual(response.headers.location, `/transfers/${response.body.id}`);
+				return helpers.eventually(() => {
+					return request(app).get(response.headers.location).expect(200)
+					.then(result => result.body.status === 'completed');
+				});
+			})
+			.then(_ => Promise.all([request(app).get('/accounts/a'), request(app).get('/accounts/b')]))
+			.then(responses => {
+				assert.deepStrictEqual(responses.map(response => response.body.funds), [6, 4]);
+			});
+		});
+
+		it('fails a transfer that would overdraw the source account', () => {
+			return Promise.all([createAccount('a', 10), createAccount('b')])
+			.then(_ => request(app).post('/transfers').send({'from': 'a', 'to': 'b', 'amount': 11}).expect(202))
+			.then(response => {
+				return helpers.eventually(() => {
+					return request(app).get(response.headers.location).expect(200)
+					.then(result => result.body.status === 'failed' && result.body);
+				});
+			})
+			.then(transfer => {
+				assert.strictEqual(transfer.reason, 'Attempting to deduct more funds than available');
+			});
+		});
+
+		it('rejects a transfer amount that is not a number', () => {
+			return Promise.all([createAccount('a', 10), createAccount('b')])
+			.then(_ => request(app).post('/transfers').send({'from': 'a', 'to': 'b', 'amount': '1'}))
+			.then(response => {
+				assertProblem(response, 400, 'INVALID_AMOUNT');
+			});
+		});
+
+		it('rejects a transfer to the same account', () => {
+			return createAccount('a', 10)
+			.then(_ => request(app).post('/transfers').send({'from': 'a', 'to': 'a', 'amount': 1}))
+			.then(response => {
+				assertProblem(response, 400, 'SAME_ACCOUNT');
+			});
+		});
+
+		it('rejects a transfer from an unknown account', () => {
+			return createAccount('b')
+			.then(_ => request(app).post('/transfers').send({'from': 'missing', 'to': 'b', 'amount': 1}))
+			.then(response => {
+				assertProblem(response, 404, 'ACCOUNT_NOT_FOUND');
+			});
+		});
+
+		it('returns 404 for an unknown transfer', () => {
+			return request(app).get('/transfers/missing')
+			.then(response => {
+				assertProblem(response, 404, 'TRANSFER_NOT_FOUND');
+			});
+		});
+	});
+});
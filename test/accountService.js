@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Tests of the account service, against the in-memory event store
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const AccountService = require('../accountService');
+const MemoryEventStore = require('../memoryEventStore');
+const errors = require('../errors');
+
+describe('AccountService', () => {
+	let store;
+	let service;
+
+	beforeEach(() => {
+		store = new MemoryEventStore();
+		service = new AccountService(null, null, {'eventStore' : store});
+	});
+
+	afterEach(() => {
+		service.close();
+	});
+
+	/**
+	 * Runs a competing command just before the next publish of the store goes through, so that publish conflicts
+	 * @param {function} command - function returning a promise of the competing command
+	 * @return void
+	 */
+	function interleave(command) {
+		const publish = store.publish.bind(store);
+		store.publish = (streamName, event, options) => {
+			store.publish = publish;
+			return command().then(_ => publish(streamName, event, options));
+		};
+	}
+
+	describe('create', () => {
+		it('creates an account with an initial deposit in one batch', () => {
+			return service.create('a', 10)
+			.then(result => {
+				assert.deepStrictEqual(result, {'id': 'a', 'funds': 10});
+				return store.get('accountStream', 'a', 0);
+			})
+			.then(events => {
+				assert.deepStrictEqual(events.map(event => [event.type, event.version]), [['create', 1], ['deposit', 2]]);
+			});
+		});
+
+		it('rejects an id that already exists', () => {
+			return service.create('a')
+			.then(_ => assert.rejects(service.create('a'), /already exists/));
+		});
+
+		it('rejects an invalid initial deposit without reserving the id', () => {
+			return assert.rejects(service.create('a', -5), /0 or negative value/)
+			.then(_ => assert.rejects(service.create('a', '100'), /invalid amount: 100/))
+			.then(_ => assert.rejects(service.create('a', null), /invalid amount: null/))
+			.then(_ => service.create('a', 5))
+			.then(result => {
+				assert.deepStrictEqual(result, {'id': 'a', 'funds': 5});
+			});
+		});
+	});
+
+	describe('fetch', () => {
+		it('rejects a non-existent account', () => {
+			return assert.rejects(service.fetch('missing'), /Non-existent account id/);
+		});
+
+		it('fetches the state of an account as of a version', () => {
+			return service.create('a', 10)
+			.then(_ => service.deposit('a', 5))
+			.then(_ => service.withdraw('a', 3))
+			.then(_ => Promise.all([service.fetch('a'), service.fetchAsOf('a', {'version': 3})]))
+			.then(results => {
+				assert.strictEqual(results[0].funds, 12);
+				assert.strictEqual(results[0].version, 4);
+				assert.strictEqual(results[1].funds, 15);
+				assert.strictEqual(results[1].version, 3);
+			});
+		});
+	});
+
+	describe('optimistic concurrency', () => {
+		it('rejects a command computed from a version that was superseded meanwhile', () => {
+			const other = new AccountService(null, null, {'eventStore' : store});
+			return service.create('a', 10)
+			.then(_ => other.fetch('a'))
+			.then(_ => {
+				interleave(() => service.deposit('a', 5));
+				return other.deposit('a', 7);
+			})
+			.then(result => {
+				assert.strictEqual(result, null);
+				return Promise.all([service.fetch('a'), other.fetch('a')]);
+			})
+			.then(accounts => {
+				assert.strictEqual(accounts[0].funds, 15);
+				assert.deepStrictEqual(accounts[1], accounts[0]);  //the losing instance rolled back its aggregate
+			});
+		});
+
+		it('publishes each event with the next version of the aggregate', () => {
+			return service.create('a', 10)
+			.then(_ => service.deposit('a', 5))
+			.then(_ => service.withdraw('a', 3))
+			.then(_ => store.get('accountStream', 'a', 0))
+			.then(events => {
+				assert.deepStrictEqual(events.map(event => event.version), [1, 2, 3, 4]);
+			});
+		});
+
+		it('rejects an overdraft without publishing an event', () => {
+			return service.create('a', 10)
+			.then(_ => assert.rejects(service.withdraw('a', 11), /more funds than available/))
+			.then(_ => store.length('accountStream'))
+			.then(length => {
+				assert.strictEqual(length, 2);
+			});
+		});
+	});
+
+	describe('conflict retries', () => {
+		let retrying;
+
+		beforeEach(() => {
+			retrying = new AccountService(null, null, {'eventStore' : store, 'conflictRetries' : 2, 'conflictBackoff' : 5});
+		});
+
+		/**
+		 * Makes the next publishes of the store report a conflict
+		 * @param {int} count - number of publishes to fail
+		 * @return {Object} - counter of the publishes attempted
+		 */
+		function conflicts(count) {
+			const publish = store.publish.bind(store);
+			let attempts = {'count': 0};
+			store.publish = (streamName, event, options) => {
+				attempts.count += 1;
+				if (attempts.count <= count) {
+					return Promise.resolve({'status': 'conflict', 'currentVersion': event.version + 1});
+				}
+				return publish(streamName, event, options);
+			};
+			return attempts;
+		}
+
+		it('retries a command after a conflict until it succeeds', () => {
+			return service.create('a', 10)
+			.then(_ => {
+				interleave(() => service.deposit('a', 7));
+				return retrying.deposit('a', 5);
+			})
+			.then(result => {
+				assert.deepStrictEqual(result, {'id': 'a', 'amount': 5});
+				return retrying.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 22);
+				assert.strictEqual(account.version, 4);
+			});
+		});
+
+		it('re-validates the command against the events that won the conflict', () => {
+			return service.create('a', 10)
+			.then(_ => {
+				interleave(() => service.withdraw('a', 6));
+				return assert.rejects(retrying.withdraw('a', 6), /more funds than available/);
+			})
+			.then(_ => service.fetch('a'))
+			.then(account => {
+				assert.strictEqual(account.funds, 4);
+			});
+		});
+
+		it('returns null once the retries are exhausted', () => {
+			let attempts;
+			return retrying.create('a', 10)
+			.then(_ => {
+				attempts = conflicts(3);
+				return retrying.withdraw('a', 5);
+			})
+			.then(result => {
+				assert.strictEqual(result, null);
+				assert.strictEqual(attempts.count, 3);
+				return retrying.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 10);  //every attempt was rolled back
+			});
+		});
+
+		it('does not retry by default', () => {
+			let attempts;
+			return service.create('a', 10)
+			.then(_ => {
+				attempts = conflicts(1);
+				return service.deposit('a', 5);
+			})
+			.then(result => {
+				assert.strictEqual(result, null);
+				assert.strictEqual(attempts.count, 1);
+			});
+		});
+	});
+
+	describe('idempotency', () => {
+		it('returns the original result of a replayed command without publishing again', () => {
+			return service.create('a', 10)
+			.then(_ => service.deposit('a', 5, {'idempotencyKey': 'k1'}))
+			.then(_ => service.deposit('a', 5, {'idempotencyKey': 'k1'}))
+			.then(result => {
+				assert.deepStrictEqual(result, {'id': 'a', 'amount': 5});
+				return service.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 15);
+			});
+		});
+
+		it('scopes a key to the operation', () => {
+			return service.create('a', 10)
+			.then(_ => service.withdraw('a', 1, {'idempotencyKey': 'k1'}))
+			.then(_ => service.deposit('a', 1000, {'idempotencyKey': 'k1'}))
+			.then(result => {
+				assert.deepStrictEqual(result, {'id': 'a', 'amount': 1000});
+				return service.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 1009);
+			});
+		});
+
+		it('rejects a key reused for a different request', () => {
+			return service.create('a', 10)
+			.then(_ => service.deposit('a', 5, {'idempotencyKey': 'k1'}))
+			.then(_ => assert.rejects(service.deposit('a', 6, {'idempotencyKey': 'k1'}), (err) => {
+				return err instanceof errors.ConflictError && err.code === 'IDEMPOTENCY_KEY_REUSED';
+			}))
+			.then(_ => service.fetch('a'))
+			.then(account => {
+				assert.strictEqual(account.funds, 15);
+			});
+		});
+
+		it('rejects a key reused for a different request by a concurrent replay', () => {
+			return service.create('a', 10)
+			.then(_ => {
+				interleave(() => service.deposit('a', 5, {'idempotencyKey': 'k1'}));
+				return assert.rejects(service.deposit('a', 6, {'idempotencyKey': 'k1'}), /different request/);
+			});
+		});
+	});
+
+	describe('cache', () => {
+		it('serves a cached account without reading its snapshot', () => {
+			let snapshotReads = 0;
+			const getSnapshot = store.getSnapshot.bind(store);
+			store.getSnapshot = (streamName, id) => {
+				snapshotReads += 1;
+				return getSnapshot(streamName, id);
+			};
+			return service.create('a', 10)
+			.then(_ => service.fetch('a'))
+			.then(_ => service.deposit('a', 5))
+			.then(_ => service.fetch('a'))
+			.then(account => {
+				assert.strictEqual(account.funds, 15);
+				assert.strictEqual(snapshotReads, 0);
+			});
+		});
+
+		it('leaves the cached account unchanged when publishing a command fails', () => {
+			return service.create('a', 10)
+			.then(_ => {
+				store.publish = () => Promise.reject(new Error('Connection lost'));
+				return assert.rejects(service.withdraw('a', 4), /Connection lost/);
+			})
+			.then(_ => {
+				assert.strictEqual(service.cacheMetrics().size, 1);
+				return service.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 10);
+				assert.strictEqual(account.version, 2);
+			});
+		});
+
+		it('evicts accounts beyond the cache size', () => {
+			const bounded = new AccountService(null, null, {'eventStore' : store, 'cacheSize' : 1});
+			return bounded.create('a', 10)
+			.then(_ => bounded.create('b', 5))
+			.then(_ => bounded.fetch('a'))
+			.then(account => {
+				assert.strictEqual(account.funds, 10);  //rehydrated from its events
+				assert.deepStrictEqual(bounded.cacheMetrics(), {'size': 1, 'hits': 0, 'misses': 1, 'evictions': 2,
+					'expirations': 0});
+			});
+		});
+
+		it('catches a cached account up with the events published by another instance', () => {
+			const other = new AccountService(null, null, {'eventStore' : store});
+			return service.create('a', 10)
+			.then(_ => other.deposit('a', 5))
+			.then(_ => service.fetch('a'))
+			.then(account => {
+				assert.strictEqual(account.funds, 15);
+				assert.strictEqual(account.version, 3);
+			});
+		});
+
+		it('rehydrates an uncached account from its snapshot and the events after it', () => {
+			const writer = new AccountService(null, null, {'eventStore' : store, 'snapshotFrequency' : 2});
+			const reads = [];
+			return writer.create('a', 10)
+			.then(_ => writer.deposit('a', 5))
+			.then(_ => store.getSnapshot('accountStream', 'a'))
+			.then(snapshot => {
+				assert.strictEqual(snapshot.version, 2);
+				const get = store.get.bind(store);
+				store.get = (streamName, id, timestamp) => {
+					reads.push(timestamp);
+					return get(streamName, id, timestamp);
+				};
+				return service.fetch('a');
+			})
+			.then(account => {
+				assert.strictEqual(account.funds, 15);
+				assert.strictEqual(account.version, 3);
+				assert.notStrictEqual(reads[0], 0);  //read from the snapshot's timestamp, not the start of the stream
+			});
+		});
+	});
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests of the aggregate cache
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const Account = require('../account');
+const AggregateCache = require('../aggregateCache');
+
+/**
+ * Builds an account
+ * @param {string} id - ID of the account
+ * @param {int} funds - funds of the account
+ * @return {Account} account
+ */
+function account(id, funds) {
+	const result = new Account(id, 1, '1-0');
+	result.deposit(funds);
+	return result;
+}
+
+describe('AggregateCache', () => {
+
+	it('returns a copy of the cached aggregate', () => {
+		const cache = new AggregateCache(Account.fromSnapshot);
+		cache.set(account('a', 10));
+		const cached = cache.get('a');
+		cached.withdraw(4);
+		assert.strictEqual(cached.funds, 6);
+		assert.strictEqual(cache.get('a').funds, 10);
+	});
+
+	it('evicts the least recently used aggregates beyond its size', () => {
+		const cache = new AggregateCache(Account.fromSnapshot, {'maxSize' : 2});
+		cache.set(account('a', 1));
+		cache.set(account('b', 2));
+		cache.get('a');
+		cache.set(account('c', 3));
+		assert.strictEqual(cache.get('b'), null);
+		assert.strictEqual(cache.get('a').funds, 1);
+		assert.strictEqual(cache.get('c').funds, 3);
+		assert.strictEqual(cache.metrics().evictions, 1);
+	});
+
+	it('expires aggregates after their ttl', () => {
+		const cache = new AggregateCache(Account.fromSnapshot, {'ttl' : 10});
+		cache.set(account('a', 1));
+		return new Promise(resolve => setTimeout(resolve, 20))
+		.then(_ => {
+			assert.strictEqual(cache.get('a'), null);
+			assert.deepStrictEqual(cache.metrics(), {'size': 0, 'hits': 0, 'misses': 1, 'evictions': 0, 'expirations': 1});
+		});
+	});
+
+	it('counts hits and misses', () => {
+		const cache = new AggregateCache(Account.fromSnapshot);
+		cache.set(account('a', 1));
+		cache.get('a');
+		cache.get('a');
+		cache.get('b');
+		assert.deepStrictEqual(cache.metrics(), {'size': 1, 'hits': 2, 'misses': 1, 'evictions': 0, 'expirations': 0});
+	});
+
+	it('caches nothing with a size of 0', () => {
+		const cache = new AggregateCache(Account.fromSnapshot, {'maxSize' : 0});
+		cache.set(account('a', 1));
+		assert.strictEqual(cache.get('a'), null);
+	});
+});
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Tests of the behaviour shared by the event stores (schema versioning, idempotent publishes, dead
+ * letters), against the in-memory event store
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const MemoryEventStore = require('../memoryEventStore');
+
+describe('EventStore', () => {
+	let store;
+
+	beforeEach(() => {
+		store = new MemoryEventStore();
+	});
+
+	/**
+	 * Publishes the next event of account a
+	 * @param {int} version - current version of the account
+	 * @param {Object} event - event object
+	 * @param {Object} idempotency - optional {key, result, retention}
+	 * @return {promise}
+	 */
+	function publish(version, event, idempotency) {
+		return store.publishBatch('accountStream', 'a', version, [event], {'idempotency': idempotency});
+	}
+
+	/**
+	 * Fetches the events of account a, as stored and as read
+	 * @return {promise} - {stored, read}: arrays of event objects
+	 */
+	function events() {
+		const stored = store._entries('accountStream').map(entry => JSON.parse(entry[1][1]));
+		return store.get('accountStream', 'a', 0)
+		.then(read => ({'stored': stored, 'read': read}));
+	}
+
+	describe('upcasters', () => {
+		it('applies the chain of upcasters of a type, one schema version at a time', () => {
+			return publish(0, {'type': 'deposit', 'amount': 5})
+			.then(_ => {
+				store.registerUpcaster('deposit', 1, event => Object.assign(event, {'currency': 'USD'}));
+				store.registerUpcaster('deposit', 2, event => Object.assign(event, {'cents': event.amount * 100}));
+				return events();
+			})
+			.then(result => {
+				assert.strictEqual(result.stored[0].schemaVersion, 1);
+				const read = result.read[0];
+				assert.deepStrictEqual([read.schemaVersion, read.currency, read.cents], [3, 'USD', 500]);
+			});
+		});
+
+		it('continues the chain with the upcasters of the new type after a rename', () => {
+			return publish(0, {'type': 'withdraw', 'amount': 5})
+			.then(_ => {
+				store.registerUpcaster('withdraw', 1, event => Object.assign(event, {'type': 'withdrawal'}));
+				store.registerUpcaster('withdrawal', 2, event => Object.assign(event, {'currency': 'USD'}));
+				return events();
+			})
+			.then(result => {
+				const read = result.read[0];
+				assert.deepStrictEqual([read.type, read.schemaVersion, read.currency], ['withdrawal', 3, 'USD']);
+			});
+		});
+
+		it('reads an event stored without a schemaVersion as version 1', () => {
+			return publish(0, {'type': 'deposit', 'amount': 5})
+			.then(_ => {
+				const fields = store._entries('accountStream')[0][1];
+				const event = JSON.parse(fields[1]);
+				delete event.schemaVersion;
+				fields[1] = JSON.stringify(event);
+				store.registerUpcaster('deposit', 1, event => Object.assign(event, {'currency': 'USD'}));
+				return store.get('accountStream', 'a', 0);
+			})
+			.then(read => {
+				assert.deepStrictEqual([read[0].schemaVersion, read[0].currency], [2, 'USD']);
+			});
+		});
+	});
+
+	describe('publishing', () => {
+		it('stamps version 1 on a type without upcasters', () => {
+			return publish(0, {'type': 'deposit', 'amount': 5})
+			.then(_ => events())
+			.then(result => {
+				assert.strictEqual(result.stored[0].schemaVersion, 1);
+			});
+		});
+
+		it('stamps the version the upcasters of a type lead to, so new events are not upcast again', () => {
+			let upcasts = 0;
+			store.registerUpcaster('deposit', 1, event => {
+				upcasts += 1;
+				return Object.assign(event, {'cents': event.amount * 100});
+			});
+			return publish(0, {'type': 'deposit', 'amount': 5, 'cents': 500})
+			.then(_ => events())
+			.then(result => {
+				assert.strictEqual(result.stored[0].schemaVersion, 2);
+				assert.strictEqual(result.read[0].schemaVersion, 2);
+				assert.strictEqual(upcasts, 0);
+			});
+		});
+
+		it('stamps the declared version of a type introduced by a rename', () => {
+			return publish(0, {'type': 'withdraw', 'amount': 5})
+			.then(_ => {
+				store.registerUpcaster('withdraw', 1, event => Object.assign(event, {'type': 'withdrawal'}));
+				store.registerUpcaster('withdrawal', 2, event => Object.assign(event, {'currency': 'USD'}));
+				store.registerSchemaVersion('withdrawal', 3);
+				return publish(1, {'type': 'withdrawal', 'amount': 6, 'currency': 'EUR'});
+			})
+			.then(_ => events())
+			.then(result => {
+				assert.deepStrictEqual(result.stored.map(event => [event.type, event.schemaVersion]),
+					[['withdraw', 1], ['withdrawal', 3]]);
+				assert.deepStrictEqual(result.read.map(event => [event.type, event.schemaVersion, event.currency]),
+					[['withdrawal', 3, 'USD'], ['withdrawal', 3, 'EUR']]);
+			});
+		});
+
+		it('keeps a schemaVersion set by the publisher', () => {
+			store.registerUpcaster('deposit', 1, event => Object.assign(event, {'cents': event.amount * 100}));
+			return publish(0, {'type': 'deposit', 'amount': 5, 'schemaVersion': 1})
+			.then(_ => events())
+			.then(result => {
+				assert.strictEqual(result.stored[0].schemaVersion, 1);
+				assert.strictEqual(result.read[0].cents, 500);
+			});
+		});
+	});
+
+	describe('idempotency', () => {
+		it('rejects a key without a positive retention, publishing nothing', () => {
+			const idempotency = {'key': 'k1', 'result': {'id': 'a'}};
+			return assert.rejects(publish(0, {'type': 'deposit', 'amount': 5}, idempotency),
+				/without a positive retention: undefined/)
+			.then(_ => {
+				idempotency.retention = 0;
+				return assert.rejects(publish(0, {'type': 'deposit', 'amount': 5}, idempotency), /positive retention: 0/);
+			})
+			.then(_ => store.length('accountStream'))
+			.then(length => {
+				assert.strictEqual(length, 0);
+			});
+		});
+
+		it('records the result of a key for its retention', () => {
+			const idempotency = {'key': 'k1', 'result': {'id': 'a'}, 'retention': 60000};
+			return publish(0, {'type': 'deposit', 'amount': 5}, idempotency)
+			.then(_ => publish(1, {'type': 'deposit', 'amount': 5}, idempotency))
+			.then(result => {
+				assert.deepStrictEqual(result, {'status': 'duplicate', 'result': {'id': 'a'}});
+			});
+		});
+	});
+
+	describe('dead letters', () => {
+		let timestamp;
+
+		/**
+		 * Publishes a deposit and delivers it, without acking it, to consumer c1 of group g
+		 * @return {promise} - stream id of the event
+		 */
+		function deliver() {
+			const subscription = store.subscribe('accountStream', 'c1', {'groupName': 'g'});
+			const delivered = new Promise(resolve => subscription.once('event', resolve));
+			return publish(0, {'type': 'deposit', 'amount': 5})
+			.then(_ => {
+				subscription.start();
+				return delivered;
+			})
+			.then(eventList => {
+				subscription.stop();
+				return eventList[0].timestamp;
+			});
+		}
+
+		beforeEach(() => {
+			return deliver()
+			.then(result => {
+				timestamp = result;
+			});
+		});
+
+		it('moves a pending event to the dead-letter stream with the failure recorded, and acks it', () => {
+			let id;
+			return store.recordFailure('accountStream', [timestamp], 'Handler failed', 'g')
+			.then(_ => store.deadLetter('accountStream', timestamp, undefined, 3, 'g'))
+			.then(result => {
+				id = result;
+				return Promise.all([store.listDeadLetters('accountStream'), store.getDeadLetter('accountStream', id),
+					store.getPending('accountStream', 'c2', 0, 'g')]);
+			})
+			.then(results => {
+				const page = results[0];
+				assert.deepStrictEqual(page.events.map(event => event.timestamp), [id]);
+				assert.strictEqual(page.next, null);
+				const deadLetter = results[1];
+				assert.deepStrictEqual([deadLetter.type, deadLetter.version, deadLetter.amount], ['deposit', 1, 5]);
+				const metadata = deadLetter.metadata;
+				assert.deepStrictEqual([metadata.originalId, metadata.reason, metadata.deliveryCount, metadata.groupName],
+					[timestamp, 'Handler failed', '3', 'g']);
+				assert.ok(metadata.deadLetteredAt);
+				assert.deepStrictEqual(results[2], []);  //no longer pending
+			});
+		});
+
+		it('records the reason given over the one recorded, and defaults to exceeding the deliveries', () => {
+			return store.recordFailure('accountStream', [timestamp], 'Handler failed', 'g')
+			.then(_ => store.deadLetter('accountStream', timestamp, 'Rejected by an operator', 1, 'g'))
+			.then(_ => publish(1, {'type': 'deposit', 'amount': 6}))
+			.then(result => store.deadLetter('accountStream', result.timestamps[0], undefined, 1, 'g'))
+			.then(_ => store.listDeadLetters('accountStream'))
+			.then(page => {
+				assert.deepStrictEqual(page.events.map(event => event.metadata.reason),
+					['Rejected by an operator', 'Exceeded 5 deliveries']);
+			});
+		});
+
+		it('dead-letters an event delivered more than maxDeliveries times from getPending', () => {
+			/**
+			 * Claims the pending event, up to its last delivery
+			 * @param {int} delivery - expected delivery count
+			 * @return {promise}
+			 */
+			function redeliver(delivery) {
+				return store.getPending('accountStream', 'c2', 0, 'g')
+				.then(eventList => {
+					assert.deepStrictEqual(eventList.map(event => event.deliveryCount), [delivery]);
+					return delivery < store.maxDeliveries() ? redeliver(delivery + 1) : null;
+				});
+			}
+
+			return store.recordFailure('accountStream', [timestamp], 'Handler failed', 'g')
+			.then(_ => redeliver(2))
+			.then(_ => store.getPending('accountStream', 'c2', 0, 'g'))
+			.then(eventList => {
+				assert.deepStrictEqual(eventList, []);
+				return store.listDeadLetters('accountStream');
+			})
+			.then(page => {
+				const metadata = page.events[0].metadata;
+				assert.deepStrictEqual([metadata.originalId, metadata.reason, metadata.deliveryCount],
+					[timestamp, 'Handler failed', String(store.maxDeliveries())]);
+			});
+		});
+
+		it('replays a dead letter to its original stream, as a new entry without the dead-letter fields', () => {
+			let id;
+			return store.deadLetter('accountStream', timestamp, 'Handler failed', 1, 'g')
+			.then(result => {
+				id = result;
+				return store.replayDeadLetter('accountStream', id);
+			})
+			.then(replayed => {
+				assert.strictEqual(store._entries('accountStream').slice(-1)[0][0], replayed);
+				return Promise.all([store.get('accountStream', 'a', timestamp), store.listDeadLetters('accountStream'),
+					store.getDeadLetter('accountStream', id)]);
+			})
+			.then(results => {
+				const events = results[0];
+				assert.deepStrictEqual(events.map(event => [event.type, event.version, event.amount]), [['deposit', 1, 5]]);
+				assert.strictEqual(events[0].metadata.originalId, undefined);
+				assert.strictEqual(events[0].metadata.reason, undefined);
+				assert.deepStrictEqual(results[1].events, []);
+				assert.strictEqual(results[2], null);
+			});
+		});
+
+		it('returns null for an unknown dead letter', () => {
+			return Promise.all([store.getDeadLetter('accountStream', '1-0'), store.replayDeadLetter('accountStream', '1-0')])
+			.then(results => {
+				assert.deepStrictEqual(results, [null, null]);
+			});
+		});
+	});
+});
@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Tests of the Redis event store client: pending queue handling, range scans, publishing, connections and
+ * outages.  The Redis commands are replaced by stand-ins returning canned replies, or sent to a stand-in server, so no
+ * Redis server is needed.
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const net = require('net');
+const EventStore = require('../eventStore');
+const EventStoreClient = require('../eventStoreClient');
+const errors = require('../errors');
+
+/**
+ * Builds a Redis stream entry of an account event
+ * @param {string} timestamp - stream id
+ * @param {int} version - version of the account
+ * @return {array} entry: [stream id, [field, value, ...]]
+ */
+function entry(timestamp, version) {
+	return [timestamp, ['event', JSON.stringify({'id': 'a', 'version': version, 'type': 'deposit', 'amount': 1})]];
+}
+
+/**
+ * Starts a stand-in Redis server: it answers INFO (the ready check of the client), GET and XREADGROUP with empty
+ * replies and any other command with OK
+ * @return {promise} - {port, commands, close}: listening port, names of the commands received, function stopping the
+ * server
+ */
+function fakeRedis() {
+	const info = '# Server\r\nredis_version:5.0.0\r\n';
+	const replies = {'info': `$${info.length}\r\n${info}\r\n`, 'get': '$-1\r\n', 'xreadgroup': '*-1\r\n'};
+	const commands = [];
+	const sockets = [];
+	const server = net.createServer(socket => {
+		sockets.push(socket);
+		let buffer = '';
+		socket.on('data', data => {
+			const lines = (buffer + data.toString()).split('\r\n');
+			while (lines[0][0] === '*') {  //array of bulk strings: *count, then $length and value of each argument
+				const count = parseInt(lines[0].slice(1));
+				if (lines.length < 2 * count + 2) {
+					break;
+				}
+				const command = lines[2].toLowerCase();
+				commands.push(command);
+				socket.write(replies[command] || '+OK\r\n');
+				lines.splice(0, 2 * count + 1);
+			}
+			buffer = lines.join('\r\n');
+		});
+	});
+	return new Promise(resolve => server.listen(0, 'localhost', resolve))
+	.then(_ => ({
+		'port': server.address().port,
+		'commands': commands,
+		'close': () => {
+			sockets.forEach(socket => socket.destroy());
+			return new Promise(resolve => server.close(resolve));
+		}
+	}));
+}
+
+describe('EventStoreClient', () => {
+
+	describe('getPending', () => {
+		let client;
+		let claims;
+		let deadLetters;
+
+		/**
+		 * Replaces the Redis commands used by getPending
+		 * @param {array} pending - XPENDING reply: array of [stream id, consumer, idle time, delivery count]
+		 * @param {Object} claimed - XCLAIM reply by stream id
+		 */
+		function standIn(pending, claimed) {
+			client._xpendingAsync = () => Promise.resolve(pending);
+			client._xclaimAsync = (streamName, groupName, consumerName, minIdle, timestamp) => {
+				claims.push({'consumerName': consumerName, 'minIdle': minIdle, 'timestamp': timestamp});
+				return Promise.resolve(claimed[timestamp]);
+			};
+			client.deadLetter = (streamName, timestamp, reason, deliveryCount, groupName) => {
+				deadLetters.push({'timestamp': timestamp, 'deliveryCount': deliveryCount, 'groupName': groupName});
+				return Promise.resolve('2-0');
+			};
+		}
+
+		beforeEach(() => {
+			client = new EventStoreClient(6379, 'localhost', {'maxDeliveries': 3});
+			claims = [];
+			deadLetters = [];
+		});
+
+		it('claims only the events idle for at least maxElapsed, counting the claim as a delivery', () => {
+			standIn([['1-0', 'c1', 5000, 1], ['1-1', 'c1', 100, 1], ['1-2', 'c2', 7000, 2]],
+				{'1-0': [entry('1-0', 1)], '1-2': [entry('1-2', 3)]});
+			return client.getPending('accountStream', 'c3', 1000, 'g')
+			.then(events => {
+				assert.deepStrictEqual(claims.map(claim => claim.timestamp), ['1-0', '1-2']);
+				assert.ok(claims.every(claim => claim.consumerName === 'c3' && claim.minIdle === 1000));
+				assert.deepStrictEqual(events.map(event => [event.timestamp, event.version, event.deliveryCount]),
+					[['1-0', 1, 2], ['1-2', 3, 3]]);
+			});
+		});
+
+		it('skips events claimed by another consumer meanwhile or deleted from the stream', () => {
+			standIn([['1-0', 'c1', 5000, 1], ['1-1', 'c1', 5000, 1]], {'1-0': [], '1-1': [['1-1', null]]});
+			return client.getPending('accountStream', 'c3', 1000, 'g')
+			.then(events => {
+				assert.deepStrictEqual(events, []);
+				assert.deepStrictEqual(deadLetters, []);
+			});
+		});
+
+		it('dead-letters events delivered more than maxDeliveries times', () => {
+			standIn([['1-0', 'c1', 5000, 3], ['1-1', 'c1', 5000, 2]], {'1-0': [entry('1-0', 1)], '1-1': [entry('1-1', 2)]});
+			return client.getPending('accountStream', 'c3', 1000, 'g')
+			.then(events => {
+				assert.deepStrictEqual(events.map(event => event.timestamp), ['1-1']);
+				assert.deepStrictEqual(deadLetters, [{'timestamp': '1-0', 'deliveryCount': 3, 'groupName': 'g'}]);
+			});
+		});
+
+		it('uses the default consumer group of the stream', () => {
+			standIn([['1-0', 'c1', 5000, 3]], {'1-0': [entry('1-0', 1)]});
+			return client.getPending('accountStream', 'c3', 1000)
+			.then(_ => {
+				assert.strictEqual(deadLetters[0].groupName, 'accountStreamGroup');
+			});
+		});
+
+		it('returns no events if the consumer group does not exist', () => {
+			client._xpendingAsync = () => {
+				const err = new Error('NOGROUP No such key');
+				err.code = 'NOGROUP';
+				return Promise.reject(err);
+			};
+			return client.getPending('accountStream', 'c3', 1000, 'g')
+			.then(events => {
+				assert.deepStrictEqual(events, []);
+			});
+		});
+
+		it('rejects on other Redis errors', () => {
+			client._xpendingAsync = () => Promise.reject(new Error('Connection lost'));
+			return assert.rejects(client.getPending('accountStream', 'c3', 1000, 'g'), /Connection lost/);
+		});
+	});
+
+	describe('range', () => {
+		let client;
+		let reads;
+
+		/**
+		 * Replaces XRANGE by a stand-in reading a stream of 3000 events, where only the given positions belong to account a
+		 * @param {array} positions - positions of the events of account a
+		 * @return void
+		 */
+		function standIn(positions) {
+			const entries = [];
+			for (let i = 0; i < 3000; i++) {
+				const id = positions.indexOf(i) === -1 ? 'b' : 'a';
+				entries.push([`${i + 1}-0`, ['event', JSON.stringify({'id': id, 'version': i + 1, 'type': 'deposit', 'amount': 1})]]);
+			}
+			client._xrangeAsync = (streamName, start, end, option, count) => {
+				reads.push(count);
+				const after = (timestamp) => start === '-' || EventStore.compareIds(timestamp, start) >= 0;
+				const before = (timestamp) => end === '+' || EventStore.compareIds(timestamp, end) <= 0;
+				return Promise.resolve(entries.filter(entry => after(entry[0]) && before(entry[0])).slice(0, count));
+			};
+		}
+
+		beforeEach(() => {
+			client = new EventStoreClient(6379, 'localhost');
+			reads = [];
+		});
+
+		it('scans a shared stream in chunks larger than the page', () => {
+			standIn([0, 2500]);
+			return client.range('accountStream', 'a', {'count': 2})
+			.then(page => {
+				assert.deepStrictEqual(page.events.map(event => event.version), [1, 2501]);
+				assert.strictEqual(page.next, '2501-1');
+				assert.deepStrictEqual(reads, [1000, 1000, 1000]);
+			});
+		});
+
+		it('stops scanning once the page is full', () => {
+			standIn([0, 1, 2]);
+			return client.range('accountStream', 'a', {'count': 2})
+			.then(page => {
+				assert.deepStrictEqual(page.events.map(event => event.version), [1, 2]);
+				assert.strictEqual(page.next, '2-1');
+				assert.deepStrictEqual(reads, [1000]);
+			});
+		});
+
+		it('reads a page of the whole stream in one chunk of the page size', () => {
+			standIn([]);
+			return client.range('accountStream', null, {'count': 10})
+			.then(page => {
+				assert.strictEqual(page.events.length, 10);
+				assert.deepStrictEqual(reads, [10]);
+			});
+		});
+	});
+
+	describe('publishBatch', () => {
+		it('rejects an idempotency key without a positive retention before running the publish script', () => {
+			const client = new EventStoreClient(6379, 'localhost');
+			let evaluated = false;
+			client._evalAsync = () => {
+				evaluated = true;
+				return Promise.resolve(['ok', 1, '1-0']);
+			};
+			const options = {'idempotency': {'key': 'k1', 'result': {'id': 'a'}, 'retention': 0}};
+			return assert.rejects(client.publishBatch('accountStream', 'a', 0, [{'type': 'deposit', 'amount': 5}], options),
+				/without a positive retention: 0/)
+			.then(_ => {
+				assert.strictEqual(evaluated, false);
+			});
+		});
+
+		it('adds the events of an aggregate to a stream that cannot collide with the dead-letter stream', () => {
+			const client = new EventStoreClient(6379, 'localhost', {'layout': 'aggregate'});
+			let keys;
+			client._evalAsync = (script, keyCount, ...args) => {
+				keys = args.slice(0, keyCount);
+				return Promise.resolve(['ok', 1, '1-0']);
+			};
+			return client.publishBatch('accountStream', 'dlq', 0, [{'type': 'create'}])
+			.then(_ => {
+				assert.deepStrictEqual(keys.slice(2), ['aggregate:accountStream:dlq', 'accountStream']);
+			});
+		});
+	});
+
+	describe('connect', () => {
+		let redis;
+		let client;
+
+		beforeEach(() => {
+			return fakeRedis()
+			.then(server => {
+				redis = server;
+				client = new EventStoreClient(redis.port, 'localhost');
+			});
+		});
+
+		afterEach(() => {
+			client.close();
+			return redis.close();
+		});
+
+		it('resolves once commands can be sent', () => {
+			return client.connect()
+			.then(_ => client.getSnapshot('accountStream', 'a'))
+			.then(snapshot => {
+				assert.strictEqual(snapshot, null);
+			});
+		});
+
+		it('starts reading a subscription once its connection is ready, without a failed first read', () => {
+			client.connect();
+			const subscriptionErrors = [];
+			const subscription = client.subscribe('accountStream', 'c1');
+			subscription.on('error', (err) => subscriptionErrors.push(err));
+			const idle = new Promise(resolve => subscription.once('idle', resolve));
+			subscription.start();
+			return idle
+			.then(_ => {
+				assert.deepStrictEqual(subscriptionErrors, []);
+				assert.deepStrictEqual(redis.commands.filter(command => command !== 'info').slice(0, 2),
+					['xgroup', 'xreadgroup']);
+			});
+		});
+	});
+
+	describe('Redis outages', () => {
+		let client;
+
+		/**
+		 * Replaces the Redis client by one whose GET command fails
+		 * @param {string} code - code of the Redis client error
+		 * @return void
+		 */
+		function failingGet(code) {
+			client._client = {
+				'get': (key, callback) => {
+					const err = new Error(`GET failed`);
+					err.code = code;
+					callback(err);
+				}
+			};
+			client._getAsync = client._promisify('get');
+		}
+
+		beforeEach(() => {
+			client = new EventStoreClient(6379, 'localhost');
+		});
+
+		it('fails commands with UnavailableError when Redis cannot be reached', () => {
+			failingGet('ECONNREFUSED');
+			return assert.rejects(client.getSnapshot('accountStream', 'a'), (err) => {
+				return err instanceof errors.UnavailableError && err.code === 'EVENT_STORE_UNAVAILABLE' &&
+					err.cause.code === 'ECONNREFUSED';
+			});
+		});
+
+		it('passes other Redis errors through', () => {
+			failingGet('WRONGTYPE');
+			return assert.rejects(client.getSnapshot('accountStream', 'a'), (err) => {
+				return !(err instanceof errors.UnavailableError) && err.code === 'WRONGTYPE';
+			});
+		});
+
+		it('fails commands right away while the connection is down, rather than queueing them', () => {
+			const server = net.createServer();
+			return new Promise(resolve => server.listen(0, 'localhost', resolve))
+			.then(_ => {
+				const port = server.address().port;  //free a port that nothing listens on
+				return new Promise(resolve => server.close(() => resolve(port)));
+			})
+			.then(port => {
+				const offline = new EventStoreClient(port, 'localhost');
+				offline.connect();
+				const subscriptionErrors = [];
+				const subscription = offline.subscribe('accountStream', 'c1');
+				subscription.on('error', (err) => subscriptionErrors.push(err));
+				subscription.start();
+				return assert.rejects(offline.getSnapshot('accountStream', 'a'), (err) => {
+					return err instanceof errors.UnavailableError && err.cause.code === 'NR_CLOSED';
+				})
+				.then(_ => {
+					assert.deepStrictEqual(subscriptionErrors, []);  //the subscription waits for the connection instead
+				})
+				.then(_ => offline.close(), err => {
+					offline.close();
+					throw err;
+				});
+			});
+		});
+	});
+});
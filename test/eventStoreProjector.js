@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Tests of the projector framework, against the in-memory event store and read model
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+const helpers = require('./helpers');
+const assert = require('assert');
+const EventStoreProjector = require('../eventStoreProjector');
+const MemoryEventStore = require('../memoryEventStore');
+const ProjectionMemoryAdapter = require('../projectionMemoryAdapter');
+
+/** @desc Projection recording the versions applied to each aggregate, in the order they're applied */
+const projection = {
+	'name' : 'versions',
+	'stream' : 'accountStream',
+	'init' : (id) => ({'applied' : []}),
+	'handlers' : {
+		'deposit' : (state, event) => ({'applied' : state.applied.concat(event.version)})
+	}
+};
+
+describe('EventStoreProjector', () => {
+	let store;
+	let adapter;
+	let projector;
+	let events;
+	let acked;
+
+	/**
+	 * Publishes deposits to account a, then reads them back with their stream ids
+	 * @param {int} count - number of deposits
+	 * @return {promise} - array of the event objects, in version order
+	 */
+	function deposits(count) {
+		let newEvents = [];
+		for (let i = 0; i < count; i++) {
+			newEvents.push({'type' : 'deposit', 'amount' : 1});
+		}
+		return store.publishBatch('accountStream', 'a', 0, newEvents)
+		.then(_ => store.get('accountStream', 'a', 0));
+	}
+
+	/**
+	 * Fetches the stored version and state of account a
+	 * @return {promise} - {version, state}
+	 */
+	function stored() {
+		return adapter.load(['a']).then(entries => entries.get('a'));
+	}
+
+	beforeEach(() => {
+		store = new MemoryEventStore();
+		adapter = new ProjectionMemoryAdapter();
+		projector = new EventStoreProjector(store, projection, adapter);
+		acked = [];
+		store.ack = (streamName, timestamps, groupName) => {
+			acked = acked.concat(timestamps);
+			return Promise.resolve(timestamps.length);
+		};
+		return deposits(3)
+		.then(eventList => {
+			events = eventList;
+		});
+	});
+
+	afterEach(() => {
+		projector.stop();
+	});
+
+	describe('apply', () => {
+		it('folds the events of an aggregate in version order', () => {
+			return projector.apply([events[1], events[2], events[0]])
+			.then(applied => {
+				assert.deepStrictEqual(applied.map(event => event.version), [2, 3, 1]);
+				return stored();
+			})
+			.then(entry => {
+				assert.deepStrictEqual(entry, {'version' : 3, 'state' : {'applied' : [1, 2, 3]}});
+			});
+		});
+
+		it('skips the events already applied', () => {
+			return projector.apply([events[0], events[1]])
+			.then(_ => projector.apply([events[1], events[2]]))
+			.then(applied => {
+				assert.deepStrictEqual(applied.map(event => event.version), [2, 3]);  //replayed events count as applied
+				return stored();
+			})
+			.then(entry => {
+				assert.deepStrictEqual(entry.state.applied, [1, 2, 3]);
+			});
+		});
+
+		it('holds the events behind a missing predecessor', () => {
+			return projector.apply([events[0], events[2]])
+			.then(applied => {
+				assert.deepStrictEqual(applied.map(event => event.version), [1]);
+				return projector.apply([events[2], events[1]]);
+			})
+			.then(applied => {
+				assert.deepStrictEqual(applied.map(event => event.version), [3, 2]);
+				return stored();
+			})
+			.then(entry => {
+				assert.deepStrictEqual(entry.state.applied, [1, 2, 3]);
+			});
+		});
+	});
+
+	describe('acks', () => {
+		it('acks only the events applied and records the last one as the checkpoint', () => {
+			return projector._eventHandler([events[0], events[2]])
+			.then(_ => {
+				assert.deepStrictEqual(acked, [events[0].timestamp]);
+				assert.strictEqual(adapter.checkpoint('versions'), events[0].timestamp);
+			});
+		});
+
+		it('acks only the versions stored when another projector won the update', () => {
+			const save = adapter.save.bind(adapter);
+			adapter.save = (updates) => {
+				adapter.save = save;
+				return save([{'id' : 'a', 'from' : 0, 'version' : 1, 'state' : {'applied' : [1]}}])  //the competing update
+				.then(_ => save(updates));
+			};
+			return projector._eventHandler([events[0], events[1]])
+			.then(_ => {
+				assert.deepStrictEqual(acked, [events[0].timestamp]);
+				return stored();
+			})
+			.then(entry => {
+				assert.strictEqual(entry.version, 1);
+			});
+		});
+
+		it('acks nothing when no event applies', () => {
+			return projector._eventHandler([events[1], events[2]])
+			.then(_ => {
+				assert.deepStrictEqual(acked, []);
+				assert.strictEqual(adapter.checkpoint('versions'), undefined);
+			});
+		});
+	});
+
+	describe('start', () => {
+		it('projects the events of the stream through a subscription', () => {
+			projector.start();
+			return helpers.eventually(() => acked.length === 3)
+			.then(_ => stored())
+			.then(entry => {
+				assert.deepStrictEqual(entry, {'version' : 3, 'state' : {'applied' : [1, 2, 3]}});
+				assert.strictEqual(adapter.checkpoint('versions'), events[2].timestamp);
+			});
+		});
+	});
+});
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Tests of the subscription states (start, pause, resume, stop), ack modes and retries, against the
+ * in-memory event store
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+const helpers = require('./helpers');
+const assert = require('assert');
+const MemoryEventStore = require('../memoryEventStore');
+const RETRY_TIMEOUT = 3000;  //time allowed to the tests waiting for a retry, which comes after 1 second
+
+describe('EventStoreSubscription', () => {
+	let store;
+	let acked;
+
+	beforeEach(() => {
+		store = new MemoryEventStore({'blockTimeout': 50});
+		acked = [];
+		const ack = store.ack.bind(store);
+		store.ack = (streamName, timestamps, groupName) => {
+			acked = acked.concat(timestamps);
+			return ack(streamName, timestamps, groupName);
+		};
+	});
+
+	afterEach(() => {
+		store.close();
+	});
+
+	/**
+	 * Publishes deposits to account a
+	 * @param {int} version - current version of the account
+	 * @param {int} count - number of deposits
+	 * @return {promise}
+	 */
+	function deposits(version, count) {
+		let newEvents = [];
+		for (let i = 0; i < count; i++) {
+			newEvents.push({'type': 'deposit', 'amount': 1});
+		}
+		return store.publishBatch('accountStream', 'a', version, newEvents);
+	}
+
+	/**
+	 * Waits for the next emission of an event
+	 * @param {EventEmitter} emitter - subscription
+	 * @param {string} name - name of the event
+	 * @return {promise} - resolves to the arguments of the event
+	 */
+	function once(emitter, name) {
+		return new Promise(resolve => emitter.once(name, (...args) => resolve(args)));
+	}
+
+	/**
+	 * Waits for longer than a blocked read of the store lasts
+	 * @return {promise}
+	 */
+	function wait() {
+		return new Promise(resolve => setTimeout(resolve, 100));
+	}
+
+	/**
+	 * Subscribes to the account stream and records the batches delivered
+	 * @param {Object} options - subscription options
+	 * @return {Object} - {subscription, batches}: batches is the array of event lists delivered
+	 */
+	function subscribe(options = {}) {
+		const subscription = store.subscribe('accountStream', 'c1', options);
+		const batches = [];
+		subscription.on('event', (eventList) => {
+			batches.push(eventList);
+		});
+		return {'subscription': subscription, 'batches': batches};
+	}
+
+	it('rejects an unknown ack mode', () => {
+		assert.throws(() => store.subscribe('accountStream', 'c1', {'ackMode': 'sometimes'}), /Unknown ack mode: sometimes/);
+	});
+
+	describe('start', () => {
+		it('delivers the events published before and after it started', () => {
+			const subscription = store.subscribe('accountStream', 'c1');
+			return deposits(0, 2)
+			.then(_ => {
+				const delivered = once(subscription, 'event');
+				subscription.start();
+				return delivered;
+			})
+			.then(args => {
+				assert.deepStrictEqual(args[0].map(event => [event.version, event.deliveryCount]), [[1, 1], [2, 1]]);
+				assert.strictEqual(args[1], subscription);
+				const delivered = once(subscription, 'event');
+				return deposits(2, 1).then(_ => delivered);
+			})
+			.then(args => {
+				assert.deepStrictEqual(args[0].map(event => event.version), [3]);
+			});
+		});
+
+		it('emits idle when a read returns no new events', () => {
+			const subscription = store.subscribe('accountStream', 'c1');
+			const idle = once(subscription, 'idle');
+			subscription.start();
+			return idle;
+		});
+
+		it('redelivers the events left pending to the same consumer first', () => {
+			const first = store.subscribe('accountStream', 'c1');
+			let second;
+			return deposits(0, 2)
+			.then(_ => {
+				const delivered = once(first, 'event');
+				first.start();
+				return delivered;
+			})
+			.then(_ => {
+				first.stop();  //without acking
+				return deposits(2, 1);
+			})
+			.then(_ => {
+				second = store.subscribe('accountStream', 'c1');
+				const delivered = once(second, 'event');
+				second.start();
+				return delivered;
+			})
+			.then(args => {
+				assert.deepStrictEqual(args[0].map(event => [event.version, event.deliveryCount]), [[1, 2], [2, 2]]);
+				return once(second, 'event');
+			})
+			.then(args => {
+				assert.deepStrictEqual(args[0].map(event => [event.version, event.deliveryCount]), [[3, 1]]);
+			});
+		});
+
+		it('reads the next batch only once the listeners have settled', () => {
+			const subscription = store.subscribe('accountStream', 'c1');
+			const batches = [];
+			let release;
+			subscription.on('event', (eventList) => {
+				batches.push(eventList);
+				return new Promise(resolve => {
+					release = resolve;
+				});
+			});
+			subscription.start();
+			return deposits(0, 1)
+			.then(_ => helpers.eventually(() => batches.length === 1))
+			.then(_ => deposits(1, 1))
+			.then(_ => wait())
+			.then(_ => {
+				assert.strictEqual(batches.length, 1);
+				release();
+				return helpers.eventually(() => batches.length === 2);
+			});
+		});
+	});
+
+	describe('ack modes', () => {
+		it('acks a batch once the listeners have resolved, in auto ack mode', () => {
+			const subscribed = subscribe({'ackMode': 'auto'});
+			subscribed.subscription.start();
+			return deposits(0, 2)
+			.then(_ => helpers.eventually(() => acked.length === 2))
+			.then(_ => {
+				assert.deepStrictEqual(acked, subscribed.batches[0].map(event => event.timestamp));
+			});
+		});
+
+		it('leaves acking to the listeners in manual ack mode', () => {
+			const subscribed = subscribe();
+			subscribed.subscription.start();
+			return deposits(0, 2)
+			.then(_ => helpers.eventually(() => subscribed.batches.length === 1))
+			.then(_ => wait())
+			.then(_ => {
+				assert.deepStrictEqual(acked, []);
+				return subscribed.subscription.ack(subscribed.batches[0]);
+			})
+			.then(_ => {
+				assert.deepStrictEqual(acked, subscribed.batches[0].map(event => event.timestamp));
+			});
+		});
+
+		it('records the failure and leaves the batch pending when a listener rejects', () => {
+			const subscription = store.subscribe('accountStream', 'c1', {'ackMode': 'auto'});
+			const failures = [];
+			store.recordFailure = (streamName, timestamps, reason, groupName) => {
+				failures.push({'timestamps': timestamps, 'reason': reason});
+				return Promise.resolve();
+			};
+			subscription.on('event', (eventList) => Promise.reject(new Error('Handler failed')));
+			const failed = once(subscription, 'error');
+			let timestamps;
+			subscription.start();
+			return deposits(0, 1)
+			.then(result => {
+				timestamps = result.timestamps;
+				return failed;
+			})
+			.then(args => {
+				assert.strictEqual(args[0].message, 'Handler failed');
+				assert.deepStrictEqual(args[1].map(event => event.timestamp), timestamps);
+				return helpers.eventually(() => failures.length === 1);
+			})
+			.then(_ => {
+				assert.deepStrictEqual(failures, [{'timestamps': timestamps, 'reason': 'Handler failed'}]);
+				assert.deepStrictEqual(acked, []);
+			});
+		});
+	});
+
+	describe('pause and resume', () => {
+		it('holds a batch read while paused until resumed', () => {
+			const subscribed = subscribe();
+			const idle = once(subscribed.subscription, 'idle');
+			subscribed.subscription.start();
+			return idle
+			.then(_ => {
+				subscribed.subscription.pause();
+				return deposits(0, 1);
+			})
+			.then(_ => wait())
+			.then(_ => {
+				assert.strictEqual(subscribed.batches.length, 0);
+				subscribed.subscription.resume();
+				return helpers.eventually(() => subscribed.batches.length === 1);
+			})
+			.then(_ => {
+				assert.deepStrictEqual(subscribed.batches[0].map(event => event.version), [1]);
+			});
+		});
+	});
+
+	describe('stop', () => {
+		it('delivers nothing once stopped, and cannot be restarted', () => {
+			const subscribed = subscribe();
+			const idle = once(subscribed.subscription, 'idle');
+			subscribed.subscription.start();
+			return idle
+			.then(_ => {
+				subscribed.subscription.stop();
+				subscribed.subscription.start();
+				return deposits(0, 1);
+			})
+			.then(_ => wait())
+			.then(_ => {
+				assert.deepStrictEqual(subscribed.batches, []);
+			});
+		});
+	});
+
+	describe('retries', () => {
+		/**
+		 * Makes the next call of a function of the subscription's source reject
+		 * @param {EventStoreSubscription} subscription - subscription
+		 * @param {string} name - 'init' or 'read'
+		 * @return void
+		 */
+		function failOnce(subscription, name) {
+			const original = subscription._source[name];
+			subscription._source[name] = () => {
+				subscription._source[name] = original;
+				return Promise.reject(new Error(`${name} failed`));
+			};
+		}
+
+		it('retries a failed init', () => {
+			const subscribed = subscribe();
+			const errors = [];
+			subscribed.subscription.on('error', (err) => errors.push(err.message));
+			failOnce(subscribed.subscription, 'init');
+			subscribed.subscription.start();
+			return deposits(0, 1)
+			.then(_ => helpers.eventually(() => subscribed.batches.length === 1, RETRY_TIMEOUT))
+			.then(_ => {
+				assert.deepStrictEqual(errors, ['init failed']);
+			});
+		}).timeout(RETRY_TIMEOUT + 500);
+
+		it('retries a failed read', () => {
+			const subscribed = subscribe();
+			const errors = [];
+			subscribed.subscription.on('error', (err) => errors.push(err.message));
+			failOnce(subscribed.subscription, 'read');
+			subscribed.subscription.start();
+			return deposits(0, 1)
+			.then(_ => helpers.eventually(() => subscribed.batches.length === 1, RETRY_TIMEOUT))
+			.then(_ => {
+				assert.deepStrictEqual(errors, ['read failed']);
+			});
+		}).timeout(RETRY_TIMEOUT + 500);
+
+		it('stops retrying once stopped', () => {
+			const subscribed = subscribe();
+			failOnce(subscribed.subscription, 'init');
+			let inits = 0;
+			const init = subscribed.subscription._source.init;
+			subscribed.subscription._source.init = () => {
+				inits += 1;
+				return init();
+			};
+			subscribed.subscription.on('error', (err) => subscribed.subscription.stop());
+			subscribed.subscription.start();
+			return new Promise(resolve => setTimeout(resolve, 1200))
+			.then(_ => {
+				assert.strictEqual(inits, 1);
+				assert.deepStrictEqual(subscribed.batches, []);
+			});
+		}).timeout(RETRY_TIMEOUT);
+	});
+});
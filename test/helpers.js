@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Shared helpers of the test suite
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+
+process.env.NODE_ENV = 'test';  //set before the loggers are loaded: no log output, no log files.  require this module first
+
+/**
+ * Polls a check until it returns a truthy value, for asserting on work carried out asynchronously
+ * (e.g. by a subscription)
+ * @param {function} check - function returning a value or a promise of a value
+ * @param {int} timeout - time (in ms) after which the returned promise is rejected
+ * @return {promise} - resolves to the truthy value returned by check
+ */
+function eventually(check, timeout = 2000) {
+	const deadline = Date.now() + timeout;
+	const attempt = () => {
+		return Promise.resolve(check())
+		.then(result => {
+			if (result) {
+				return result;
+			}
+			if (Date.now() > deadline) {
+				throw new Error(`Condition not met within ${timeout} ms`);
+			}
+			return new Promise(resolve => setTimeout(resolve, 10)).then(attempt);
+		});
+	};
+	return attempt();
+}
+
+module.exports = {
+	'eventually' : eventually
+};
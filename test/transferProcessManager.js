@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Tests of the transfer process manager, against the in-memory event store
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+/*jshint mocha: true */
+
+'use strict';
+'use esversion 6';
+require('./helpers');
+const assert = require('assert');
+const AccountService = require('../accountService');
+const MemoryEventStore = require('../memoryEventStore');
+const TransferProcessManager = require('../transferProcessManager');
+const errors = require('../errors');
+
+describe('TransferProcessManager', () => {
+	let store;
+	let service;
+	let manager;
+	let acked;
+
+	beforeEach(() => {
+		store = new MemoryEventStore();
+		service = new AccountService(null, null, {'eventStore' : store});
+		manager = new TransferProcessManager(service, null, null, {'eventStore' : store});
+		acked = [];
+		store.ack = (streamName, timestamp, groupName) => {
+			acked.push(timestamp);
+			return Promise.resolve(1);
+		};
+		return Promise.all([service.create('a', 10), service.create('b')]);
+	});
+
+	afterEach(() => {
+		service.close();
+	});
+
+	/**
+	 * Initiates a transfer from account a to account b
+	 * @param {int} amount - transfer amount
+	 * @return {promise} - transferInitiated event
+	 */
+	function initiate(amount) {
+		return service.transfer('a', 'b', amount)
+		.then(result => store.get('transferStream', result.id, 0))
+		.then(events => events[0]);
+	}
+
+	/**
+	 * Makes the next publish of an event type reject, as if the event store connection was lost
+	 * @param {string} type - event type
+	 * @return void
+	 */
+	function failPublish(type) {
+		const publish = store.publish.bind(store);
+		store.publish = (streamName, event, options) => {
+			if (event.type !== type) {
+				return publish(streamName, event, options);
+			}
+			store.publish = publish;
+			return Promise.reject(new errors.UnavailableError('Connection lost', 'EVENT_STORE_UNAVAILABLE'));
+		};
+	}
+
+	/**
+	 * Fetches the status of a transfer and the funds of both accounts
+	 * @param {string} id - ID of the transfer
+	 * @return {promise} - [status, funds of a, funds of b]
+	 */
+	function state(id) {
+		return Promise.all([service.fetchTransfer(id), service.fetch('a'), service.fetch('b')])
+		.then(results => [results[0].status, results[1].funds, results[2].funds]);
+	}
+
+	it('carries out both legs of a transfer', () => {
+		let initiated;
+		return initiate(4)
+		.then(event => {
+			initiated = event;
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => store.get('transferStream', initiated.id, 0))
+		.then(events => manager._eventHandler([events[1]]))
+		.then(_ => state(initiated.id))
+		.then(result => {
+			assert.deepStrictEqual(result, ['completed', 6, 4]);
+		});
+	});
+
+	it('does not withdraw twice when recording the withdrawal failed', () => {
+		let initiated;
+		return initiate(4)
+		.then(event => {
+			initiated = event;
+			failPublish('transferDebited');
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, []);  //left pending
+			return manager._eventHandler([initiated]);  //redelivered from the pending queue
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, [initiated.timestamp]);
+			return state(initiated.id);
+		})
+		.then(result => {
+			assert.deepStrictEqual(result, ['debited', 6, 0]);
+		});
+	});
+
+	it('leaves a transfer pending when a leg fails for a reason other than a business rule', () => {
+		let initiated;
+		return initiate(4)
+		.then(event => {
+			initiated = event;
+			failPublish('withdraw');
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, []);
+			return state(initiated.id);
+		})
+		.then(result => {
+			assert.deepStrictEqual(result, ['initiated', 10, 0]);
+		});
+	});
+
+	it('fails a transfer that breaks a business rule', () => {
+		let initiated;
+		return initiate(11)
+		.then(event => {
+			initiated = event;
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, [initiated.timestamp]);
+			return state(initiated.id);
+		})
+		.then(result => {
+			assert.deepStrictEqual(result, ['failed', 10, 0]);
+		});
+	});
+
+	it('acks a step that another instance recorded meanwhile', () => {
+		const other = new TransferProcessManager(service, null, null, {'eventStore' : store});
+		let initiated;
+		return initiate(4)
+		.then(event => {
+			initiated = event;
+			const publish = store.publish.bind(store);
+			store.publish = (streamName, event, options) => {
+				if (event.type !== 'transferDebited') {
+					return publish(streamName, event, options);
+				}
+				store.publish = publish;
+				return other._eventHandler([initiated]).then(_ => publish(streamName, event, options));
+			};
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, [initiated.timestamp, initiated.timestamp]);
+			return state(initiated.id);
+		})
+		.then(result => {
+			assert.deepStrictEqual(result, ['debited', 6, 0]);  //withdrawn once
+		});
+	});
+
+	it('leaves an event pending when a conflicting step was recorded meanwhile', () => {
+		let initiated;
+		return initiate(4)
+		.then(event => {
+			initiated = event;
+			const publish = store.publish.bind(store);
+			store.publish = (streamName, event, options) => {
+				if (event.type !== 'transferDebited') {
+					return publish(streamName, event, options);
+				}
+				store.publish = publish;
+				const failed = {'id': initiated.id, 'version': 1, 'type': 'transferFailed', 'reason': 'test'};
+				return publish(streamName, failed).then(_ => publish(streamName, event, options));
+			};
+			return manager._eventHandler([initiated]);
+		})
+		.then(_ => {
+			assert.deepStrictEqual(acked, []);
+		});
+	});
+
+	describe('when the deposit keeps failing', () => {
+		let debited;
+
+		beforeEach(() => {
+			const deposit = service.deposit.bind(service);
+			service.deposit = (id, amount, options) => {
+				if (id === 'b') {
+					return Promise.resolve(null);  //conflict retries on the target account ran out
+				}
+				return deposit(id, amount, options);
+			};
+			let initiated;
+			return initiate(4)
+			.then(event => {
+				initiated = event;
+				return manager._eventHandler([initiated]);
+			})
+			.then(_ => store.get('transferStream', initiated.id, 0))
+			.then(events => {
+				debited = events[1];
+				acked = [];
+			});
+		});
+
+		it('leaves the event pending before its last delivery', () => {
+			debited.deliveryCount = store.maxDeliveries() - 1;
+			return manager._eventHandler([debited])
+			.then(_ => {
+				assert.deepStrictEqual(acked, []);
+				return state(debited.id);
+			})
+			.then(result => {
+				assert.deepStrictEqual(result, ['debited', 6, 0]);
+			});
+		});
+
+		it('compensates on the last delivery, before the event is dead-lettered', () => {
+			debited.deliveryCount = store.maxDeliveries();
+			return manager._eventHandler([debited])
+			.then(_ => {
+				assert.deepStrictEqual(acked, [debited.timestamp]);
+				return state(debited.id);
+			})
+			.then(result => {
+				assert.deepStrictEqual(result, ['compensated', 10, 0]);
+			});
+		});
+	});
+});
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Aggregate for a transfer of funds between two accounts
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const logger = require('./accountLogger');
+
+/** @desc Transfer aggregate.  State is driven by the events of the transfer saga */
+module.exports = class Transfer {
+
+	constructor(id, version=0, timestamp=0) {
+		logger.debug(`Transfer constructor - id:${id}, version:${version}, timestamp:${timestamp}`);
+		this.id = id;
+		this.version = version;
+		this.timestamp = timestamp;
+		this.from = null;
+		this.to = null;
+		this.amount = 0;
+		this.status = null;
+		this.reason = null;
+	}
+
+	/**
+	 * 	Updates the aggregate from a list of events.
+	 * @param {array} events - list of event objects
+	 * @return none
+	 */
+	rehydrate(events) {
+		logger.debug(`Transfer.rehydrate - events.length:${events.length}`);
+		for (let event of events) {
+			if (event.id === this.id && event.timestamp !== this.timestamp) {
+				this.version = event.version;
+				this.timestamp = event.timestamp;
+				switch (event.type) {
+					case 'transferInitiated':
+						this.from = event.from;
+						this.to = event.to;
+						this.amount = event.amount;
+						this.status = 'initiated';
+						break;
+					case 'transferDebited':
+						this.status = 'debited';
+						break;
+					case 'transferCompleted':
+						this.status = 'completed';
+						break;
+					case 'transferFailed':
+						this.status = 'failed';
+						this.reason = event.reason;
+						break;
+					case 'transferCompensated':
+						this.status = 'compensated';
+						this.reason = event.reason;
+						break;
+					default:
+						break;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Helper function to generate an object from the transfer class
+	 * @return {Object} object representing the current state of aggregate.
+	 */
+	toObject() {
+		return {'id':this.id, 'version':this.version, 'from':this.from, 'to':this.to, 'amount':this.amount,
+			'status':this.status, 'reason':this.reason};
+	}
+};
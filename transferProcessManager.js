@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Process manager (saga) carrying out transfers of funds between accounts
+ * @author Joey Whelan <joey.whelan@gmail.com>
+ */
+
+/*jshint esversion: 6 */
+
+'use strict';
+'use esversion 6';
+const os = require('os');
+const EventStoreClient = require('./eventStoreClient');
+const Transfer = require('./transfer');
+const logger = require('./accountLogger');
+const errors = require('./errors');
+const STREAM_NAME = 'transferStream';
+const GROUP_NAME = 'transferStreamGroup';  //consumer group of the process manager instances
+const ACTOR = 'transferProcessManager';  //actor recorded in the envelope of the events published by the process manager
+const PENDING_INTERVAL = 30000;  //30 seconds, interval on checking the pending queue of events
+const STATUS_OF = {'transferDebited' : 'debited', 'transferCompleted' : 'completed', 'transferFailed' : 'failed',
+	'transferCompensated' : 'compensated'};  //status of a transfer once each event is recorded
+
+/** @desc Transfer process manager.  Reacts to the events of the transfer stream:
+ * 		transferInitiated -> withdraw from the source account -> transferDebited (or transferFailed)
+ * 		transferDebited -> deposit to the target account -> transferCompleted, or if the deposit fails,
+ * 						   a compensating deposit back to the source account -> transferCompensated
+ * An event is only ack'ed once its step has been recorded, so a failed step is retried from the pending queue.  Each
+ * leg is carried out with an idempotency key derived from the transfer id, so a retried step doesn't move funds twice.
+ * Only business outcomes (validation, not found, business rule errors) fail or compensate a transfer; any other error
+ * leaves the event pending.
+ */
+module.exports = class TransferProcessManager {
+
+	/**
+	 * @param {AccountService} service - account service used for the withdrawal and deposit legs
+	 * @param {int} redisPort - redis port number
+	 * @param {string} redisHost - redis host name/address
+	 * @param {Object} options - layout: event store stream layout ('single' or 'aggregate'),
+	 * 							eventStore: EventStore to use instead of a Redis EventStoreClient, e.g. a MemoryEventStore
+	 */
+	constructor(service, redisPort, redisHost, options = {}) {
+		logger.debug(`TransferProcessManager constructor`);
+		this._service = service;
+		this._client = options.eventStore || new EventStoreClient(redisPort, redisHost, {'layout' : options.layout});
+		this._consumerName = 'transferProcessManager:' + os.hostname() + '_' + process.pid;
+	}
+
+	/**
+	 * Function for releasing resources (Redis connection and time interval object)
+	 */
+	close() {
+		logger.debug(`TransferProcessManager.close`);
+		clearInterval(this._interval);
+		this._client.close();
+	}
+
+	/**
+	 * Function creates Redis connection through eventStoreClient, sets up an event listener
+	 * for transfer events and a timer to check the pending queue.  The subscription starts reading once connected.
+	 * @return {promise} - resolves once the event store is connected
+	 */
+	connect() {
+		logger.debug(`TransferProcessManager.connect`);
+		const connected = this._client.connect();
+		this._subscription = this._client.subscribe(STREAM_NAME, this._consumerName, {'ackMode' : 'manual', 'groupName' : GROUP_NAME});
+		this._subscription.on('event', (eventList) => this._eventHandler(eventList));
+		this._subscription.on('error', (err) => {
+			logger.error(`TransferProcessManager, subscription - ${err}`);
+		});
+		this._subscription.start();
+		this._interval = setInterval(() => this._processPending(), PENDING_INTERVAL);
+		return connected;
+	}
+
+	/**
+	 * Private function carrying out the withdrawal leg of a transfer
+	 * @private
+	 * @param {Object} event - transferInitiated event
+	 * @return {promise}
+	 */
+	_debit(event) {
+		const id = event.id;
+		const metadata = this._metadata(event);
+		return this._loadTransfer(id)
+		.then(transfer => {
+			if (transfer.status !== 'initiated') {  //step was already carried out
+				return;
+			}
+			return this._service.withdraw(transfer.from, transfer.amount, this._legOptions(id, 'debit', metadata))
+			.then(result => {
+				if (!result) {
+					throw new errors.ConflictError('Conflict while attempting transfer withdrawal', 'VERSION_CONFLICT');
+				}
+				return this._record(transfer, 'transferDebited', {}, metadata);
+			}, err => {
+				if (!this._isBusinessError(err)) {
+					throw err;
+				}
+				return this._record(transfer, 'transferFailed', {'reason' : err.message}, metadata);
+			});
+		});
+	}
+
+	/**
+	 * Private function carrying out the deposit leg of a transfer.  If the deposit fails, the withdrawn funds
+	 * are deposited back to the source account: right away for a business outcome, otherwise on the last delivery of
+	 * the event, before it's dead-lettered and the transfer would be left debited.
+	 * @private
+	 * @param {Object} event - transferDebited event
+	 * @return {promise}
+	 */
+	_credit(event) {
+		const id = event.id;
+		const metadata = this._metadata(event);
+		return this._loadTransfer(id)
+		.then(transfer => {
+			if (transfer.status !== 'debited') {  //step was already carried out
+				return;
+			}
+			return this._service.deposit(transfer.to, transfer.amount, this._legOptions(id, 'credit', metadata))
+			.then(result => {
+				if (!result) {
+					throw new errors.ConflictError('Conflict while attempting transfer deposit', 'VERSION_CONFLICT');
+				}
+			})
+			.then(_ => this._record(transfer, 'transferCompleted', {}, metadata), err => {
+				if (!this._isBusinessError(err) && !this._isLastDelivery(event)) {
+					throw err;
+				}
+				logger.debug(`TransferProcessManager._credit - id:${id} - compensating, ${err}`);
+				return this._service.deposit(transfer.from, transfer.amount, this._legOptions(id, 'compensate', metadata))
+				.then(result => {
+					if (!result) {
+						throw new errors.ConflictError('Conflict while attempting transfer compensation', 'VERSION_CONFLICT');
+					}
+					return this._record(transfer, 'transferCompensated', {'reason' : err.message}, metadata);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Private function called from the subscription event emitter.  Each transfer event is handled and then ack'ed.
+	 * @private
+	 * @param {array} eventList - array of event objects
+	 * @return {promise}
+	 */
+	_eventHandler(eventList) {
+		logger.debug(`TransferProcessManager._eventHandler - number of events received:${eventList.length}`);
+		const promises = eventList.map((event) => {
+			let step;
+			switch (event.type) {
+				case 'transferInitiated':
+					step = this._debit(event);
+					break;
+				case 'transferDebited':
+					step = this._credit(event);
+					break;
+				default:
+					step = Promise.resolve();
+					break;
+			}
+			return step
+			.then(_ => {
+				return this._client.ack(STREAM_NAME, event.timestamp, GROUP_NAME);
+			})
+			.catch(err => {  //event stays in the pending queue and is retried
+				logger.error(`TransferProcessManager._eventHandler - id:${event.id}, type:${event.type} - ${err}`);
+			});
+		});
+		return Promise.all(promises);
+	}
+
+	/**
+	 * Private function determining whether an error is a business outcome of a leg, which ends (or compensates) the
+	 * transfer, rather than a transient failure such as an unavailable event store
+	 * @private
+	 * @param {Error} err - error raised by a leg
+	 * @return {boolean}
+	 */
+	_isBusinessError(err) {
+		return err instanceof errors.ValidationError || err instanceof errors.NotFoundError ||
+			err instanceof errors.BusinessRuleError;
+	}
+
+	/**
+	 * Private function determining whether an event won't be delivered again: it's dead-lettered if it fails once more
+	 * @private
+	 * @param {Object} event - transfer event being handled
+	 * @return {boolean}
+	 */
+	_isLastDelivery(event) {
+		return event.deliveryCount >= this._client.maxDeliveries();
+	}
+
+	/**
+	 * Private function building the options of the withdrawal or deposit of a leg
+	 * @private
+	 * @param {string} id - ID of the transfer
+	 * @param {string} leg - 'debit', 'credit' or 'compensate'
+	 * @param {Object} metadata - envelope metadata
+	 * @return {Object} options of AccountService.withdraw/deposit
+	 */
+	_legOptions(id, leg, metadata) {
+		return {'transferId' : id, 'idempotencyKey' : `${id}:${leg}`, 'metadata' : metadata};
+	}
+
+	/**
+	 * Private function that rehydrates a transfer aggregate from its events
+	 * @private
+	 * @param {string} id - ID of the transfer
+	 * @return {Transfer} transfer aggregate
+	 */
+	_loadTransfer(id) {
+		return this._client.get(STREAM_NAME, id, 0)
+		.then(events => {
+			const transfer = new Transfer(id);
+			transfer.rehydrate(events);
+			return transfer;
+		});
+	}
+
+	/**
+	 * Private function building the envelope metadata of the events caused by a transfer event
+	 * @private
+	 * @param {Object} event - transfer event being handled
+	 * @return {Object} metadata object
+	 */
+	_metadata(event) {
+		return {'correlationId' : event.metadata.correlationId, 'causationId' : event.metadata.eventId, 'actor' : ACTOR};
+	}
+
+	/**
+	 * Private function for fetching the events that have been in the pending queue for longer than PENDING_INTERVAL
+	 * @private
+	 * @return {promise}
+	 */
+	_processPending() {
+		logger.debug(`TransferProcessManager._processPending`);
+		return this._client.getPending(STREAM_NAME, this._consumerName, PENDING_INTERVAL, GROUP_NAME)
+		.then((eventList) => {
+			if (eventList.length > 0) {
+				return this._eventHandler(eventList);
+			}
+		})
+		.catch((err) => {
+			logger.error(`TransferProcessManager._processPending - ${err}`);
+		});
+	}
+
+	/**
+	 * Private function that publishes the next event of a transfer.  On a version conflict, the transfer is reloaded:
+	 * if another process manager instance recorded the same step meanwhile, there's nothing left to do, otherwise
+	 * a ConflictError is thrown so the event stays pending.
+	 * @private
+	 * @param {Transfer} transfer - transfer aggregate
+	 * @param {string} type - event type
+	 * @param {Object} fields - additional event fields
+	 * @param {Object} metadata - envelope metadata
+	 * @return {promise}
+	 */
+	_record(transfer, type, fields, metadata) {
+		const newEvent = Object.assign({'id' : transfer.id, 'version' : transfer.version, 'type' : type}, fields);
+		return this._client.publish(STREAM_NAME, newEvent, {'metadata' : metadata})
+		.then(result => {
+			logger.debug(`TransferProcessManager._record - id:${transfer.id}, type:${type} - status:${result.status}`);
+			if (result.status !== 'conflict') {
+				return;
+			}
+			return this._loadTransfer(transfer.id)
+			.then(current => {
+				if (current.status !== STATUS_OF[type]) {
+					throw new errors.ConflictError(`Conflict while recording ${type}, transfer status:${current.status}`,
+						'VERSION_CONFLICT');
+				}
+			});
+		});
+	}
+};